@@ -1,5 +1,7 @@
 /**
  * Creates a new Model or Collection object.
+ * The instance is created from the inserted row, so it reflects values set by
+ * the database such as defaults, serial or identity keys and trigger changes.
  * @param {APIBuilder.Model} Model The model class being updated.
  * @param {Object} [values] Attributes to set on the new model(s).
  * @param {Function} callback Callback passed an Error object (or null if successful),
@@ -7,37 +9,30 @@
  * @throws {Error}
  */
 exports.create = function (Model, values, callback) {
-	const table = this.getTableName(Model);
+	const tableName = this.getTableName(Model);
+	const table = this.escapeKeys([ tableName ])[0];
 	const payload = Model.instance(values, false).toPayload();
 	const primaryKeyColumn = this.getPrimaryKeyColumn(Model);
 	const isAutogenerated = this.getAutogenerated(Model);
-	const columns = this.fetchColumns(table, payload);
-	const placeholders = columns.map(this.returnPlaceholder);
-	const data = Object.values(payload);
-	let query;
+	// Leave out unset fields, so the database applies the column defaults
+	const columns = this.fetchColumns(tableName, payload).filter((column) => payload[column] !== undefined);
+	const data = columns.map((column) => this.prepareValue(tableName, column, payload[column]));
 
-	if (!primaryKeyColumn) {
-		query = `INSERT INTO ${this.escapeKeys([ table ])[0]} (${this.escapeKeys(columns).join(',')}) VALUES (${placeholders.join(',')})`;
-	} else if (!isAutogenerated) {
+	if (primaryKeyColumn && !isAutogenerated && values[primaryKeyColumn] !== undefined
+		&& !columns.includes(primaryKeyColumn)) {
+		columns.unshift(primaryKeyColumn);
 		data.unshift(values[primaryKeyColumn]);
-		placeholders.push('?');
-		/* eslint-disable */
-		query = 'INSERT INTO ' + this.escapeKeys([ table ])[0] + ' (' + primaryKeyColumn + ',' + this.escapeKeys(columns).join(',') + ') VALUES (' + placeholders.join(',') + ')';
+	}
+
+	let query;
+	if (columns.length) {
+		const placeholders = columns.map(this.returnPlaceholder);
+		query = `INSERT INTO ${table} (${this.escapeKeys(columns).join(',')}) VALUES (${placeholders.join(',')}) RETURNING *`;
 	} else {
-		/* eslint-disable */
-		query = 'INSERT INTO ' + this.escapeKeys([ table ])[0] + ' (' + this.escapeKeys(columns).join(',') + ') VALUES (' + placeholders.join(',') + ')';
+		query = `INSERT INTO ${table} DEFAULT VALUES RETURNING *`;
 	}
 
 	this._query(query, data, callback, (result) => {
-		const instance = Model.instance(values);
-		const primaryKey = primaryKeyColumn && this.metadata.schema.objects[table][primaryKeyColumn];
-		if (primaryKey) {
-			if (isAutogenerated) {
-				instance.setPrimaryKey(result.insertId);
-			} else {
-				instance.setPrimaryKey(values[primaryKeyColumn]);
-			}
-		}
-		callback(null, instance);
+		callback(null, this.getInstanceFromRow(Model, result.rows[0]));
 	});
 };
@@ -16,10 +16,10 @@ exports['delete'] = function (Model, instance, callback) {
 		return callback(new APIBuilder.ORMError(`Can't find primary key column for ${tableName}`));
 	}
 
-	const query = `DELETE FROM ${table} WHERE ${primaryKeyColumn} = $1`;
-	this._query(query, new Array(instance.getPrimaryKey()), callback, (result) => {
-		if (result && result.affectedRows) {
-			callback(null, instance);
+	const query = `DELETE FROM ${table} WHERE ${primaryKeyColumn} = $1 RETURNING *`;
+	this._query(query, [ instance.getPrimaryKey() ], callback, (result) => {
+		if (result && result.rowCount) {
+			callback(null, this.getInstanceFromRow(Model, result.rows[0]));
 		} else {
 			callback();
 		}
@@ -10,6 +10,6 @@ exports.deleteAll = function (Model, callback) {
 	const query = `DELETE FROM ${table}`;
 
 	this._query(query, callback, (result) => {
-		callback(null, result && (result.affectedRows || 0));
+		callback(null, result && (result.rowCount || 0));
 	});
 };
@@ -1,9 +1,10 @@
 
 const APIBuilder = require('@axway/api-builder-runtime');
-const _ = require('lodash');
 
 /**
  * Updates a Model instance.
+ * The updated instance is created from the updated row, so it reflects
+ * changes made by the database such as triggers.
  * @param {APIBuilder.Model} Model The model class being updated.
  * @param {APIBuilder.Instance} instance Model instance to update.
  * @param {Function} callback Callback passed an Error object (or null if successful)
@@ -19,17 +20,20 @@ exports.save = function (Model, instance, callback) {
 	}
 
 	const payload = instance.toPayload();
-	const columns = this.escapeKeys(this.fetchColumns(tableName, payload));
-	const placeholders = columns.map((name, index) => {
-		
-		return `${name} = \$${index+1}`;
-	});
-	const values = _.values(payload).concat([ instance.getPrimaryKey() ]);
-	const query = `UPDATE ${table} SET ${placeholders.join(',')} WHERE ${primaryKeyColumn} = \$${values.length}`;
+	const columns = this.fetchColumns(tableName, payload);
+	const values = columns.map((column) => this.prepareValue(tableName, column, payload[column])).concat([ instance.getPrimaryKey() ]);
+	let query;
+	if (columns.length) {
+		const placeholders = this.escapeKeys(columns).map((name, index) => `${name} = ${this.returnPlaceholder(name, index)}`);
+		query = `UPDATE ${table} SET ${placeholders.join(',')} WHERE ${primaryKeyColumn} = $${values.length} RETURNING *`;
+	} else {
+		// Nothing to update, return the stored row
+		query = `SELECT * FROM ${table} WHERE ${primaryKeyColumn} = $1`;
+	}
 
 	this._query(query, values, callback, (result) => {
-		if (result && result.affectedRows) {
-			callback(null, instance);
+		if (result && result.rowCount) {
+			callback(null, this.getInstanceFromRow(Model, result.rows[0]));
 		} else {
 			callback();
 		}
@@ -1,60 +1,64 @@
+const APIBuilder = require('@axway/api-builder-runtime');
+
 /**
  * Updates a model or creates the model if it cannot be found.
+ * This is done in a single `INSERT ... ON CONFLICT ... DO UPDATE` statement on
+ * the primary key, or on the unique constraint set as `upsertConflictTarget`
+ * in the model metadata.
  * @param {APIBuilder.Model} Model The model class being updated.
  * @param {String} id ID of the model to update.
  * @param {Object} doc Model attributes to set.
  * @param {Function} callback Callback passed an Error object (or null if successful)
  * 		and the updated or new model.
+ * @returns {undefined}
  */
-
-const _ = require('lodash');
-
-const APIBuilder = require('@axway/api-builder-runtime');
-
-
-
 exports.upsert = function upsert (Model, id, doc, callback) {
-	if (!id || !doc) {
+	const constraintName = Model.getMeta('upsertConflictTarget');
+	if (!doc || (!id && !constraintName)) {
 		throw new Error('You must provide a Model id and data Object, that will be persisted');
 	}
 
 	const tableName = this.getTableName(Model);
 	const table = this.escapeKeys([ tableName ])[0];
 	const primaryKeyColumn = this.getPrimaryKeyColumn(Model);
-	if (!primaryKeyColumn) {
+	let conflictColumns;
+	if (constraintName) {
+		const constraints = (this.schema.unique_constraints && this.schema.unique_constraints[tableName]) || {};
+		conflictColumns = constraints[constraintName];
+		if (!conflictColumns) {
+			return callback(new APIBuilder.ORMError(`Can't find unique constraint ${constraintName} for ${tableName}`));
+		}
+	} else if (primaryKeyColumn) {
+		conflictColumns = [ primaryKeyColumn ];
+	} else {
 		return callback(new APIBuilder.ORMError(`Can't find primary key column for ${tableName}`));
 	}
 
 	const payload = Model.instance(doc, false).toPayload();
-	const columns = this.fetchColumns(tableName, payload);
-	let placeholders;
-	let query;
+	const columns = this.fetchColumns(tableName, payload).filter((column) => payload[column] !== undefined);
+	const data = columns.map((column) => this.prepareValue(tableName, column, payload[column]));
+	if (primaryKeyColumn && id && !columns.includes(primaryKeyColumn)) {
+		columns.unshift(primaryKeyColumn);
+		data.unshift(id);
+	}
+	if (!columns.length) {
+		// Without a value there is nothing to detect a conflict on
+		return callback(new APIBuilder.ORMError(`Missing values to upsert into ${tableName}`));
+	}
 
-	this.findByID(Model, id, (err, result) => {
-		const values = _.values(doc);
-		const instance = Model.instance(doc, true);
-		if (err) {
-			callback(err);
-		} else if (result) {
-			instance.setPrimaryKey(id);
-			this.save(Model, instance, () => {
-				callback(null, instance);
-			});
-			/*
-			placeholders = this.escapeKeys(columns).map((name) => `${name} = ?`);
-			query = `UPDATE ${table} SET ${placeholders.join(',')} WHERE ${primaryKeyColumn} = ?`;
-			values.push(id); // last position
+	// The key of an existing row is never changed
+	let updateColumns = columns.filter((column) => !conflictColumns.includes(column) && column !== primaryKeyColumn);
+	if (!updateColumns.length) {
+		// Nothing to update, but DO UPDATE is needed to return the existing row
+		updateColumns = conflictColumns;
+	}
 
-			this._query(query, values, callback, () => {
-				const instance = Model.instance(doc, true);
-				instance.setPrimaryKey(id);
-				callback(null, instance);
-			});*/
-		} else {
-			this.create(Model, doc, () => {
-				instance.setPrimaryKey(id);
-				callback(null, instance);
-			});
-		}
+	const placeholders = columns.map(this.returnPlaceholder);
+	const updates = this.escapeKeys(updateColumns).map((name) => `${name} = EXCLUDED.${name}`);
+	const query = `INSERT INTO ${table} (${this.escapeKeys(columns).join(',')}) VALUES (${placeholders.join(',')})`
+		+ ` ON CONFLICT (${this.escapeKeys(conflictColumns).join(',')}) DO UPDATE SET ${updates.join(',')} RETURNING *`;
+
+	this._query(query, data, callback, (result) => {
+		callback(null, this.getInstanceFromRow(Model, result.rows[0]));
 	});
 };
@@ -30,13 +30,37 @@ exports.createModelsFromSchema = function () {
 	*/
 	function getPrimaryKeyDetails(modelName, primaryKeyColumnName) {
 		return {
-			autogenerated: self.schema.objects[modelName][primaryKeyColumnName].identity_increment > -1,
+			autogenerated: self.isAutogeneratedColumn(self.schema.objects[modelName][primaryKeyColumnName]),
 			type: self.convertDataTypeToJSType(
-				self.schema.objects[modelName][primaryKeyColumnName].data_type
+				self.schema.objects[modelName][primaryKeyColumnName].data_type,
+				self.schema.objects[modelName][primaryKeyColumnName].udt_name
 			).name.toLowerCase()
 		};
 	}
 
+	/**
+	* Returns the keys of the table as model metadata, foreign keys reference
+	* the generated model of the referenced table
+	* @param {string} modelName - name of model
+	* @returns {object}
+	*/
+	function getKeys(modelName) {
+		const foreignKeys = (self.schema.foreign_keys && self.schema.foreign_keys[modelName]) || [];
+		return {
+			primaryKeyColumns: (self.schema.primary_key_columns && self.schema.primary_key_columns[modelName]) || [],
+			uniqueConstraints: (self.schema.unique_constraints && self.schema.unique_constraints[modelName]) || {},
+			foreignKeys: foreignKeys.map((foreignKey) => ({
+				name: foreignKey.name,
+				columns: foreignKey.columns,
+				references: {
+					model: `${self.name}/${foreignKey.referencedTable}`,
+					table: foreignKey.referencedTable,
+					columns: foreignKey.referencedColumns
+				}
+			}))
+		};
+	}
+
 	/**
 	* Get model fields except the primaryKey field
 	* @param {string} modelName - name of model - name of model
@@ -62,10 +86,20 @@ exports.createModelsFromSchema = function () {
 				return true;
 			})
 			.reduce((fields, fieldName) => {
+				const column = modelSchema[fieldName];
 				fields[fieldName] = {
-					type: self.convertDataTypeToJSType(modelSchema[fieldName].data_type),
-					required: modelSchema[fieldName].is_nullable === 'NO'
+					type: self.convertDataTypeToJSType(column.data_type, column.udt_name),
+					required: column.is_nullable === 'NO'
 				};
+				const values = column.data_type === 'USER-DEFINED' && self.schema.enums && self.schema.enums[column.udt_name];
+				if (values) {
+					fields[fieldName].enum = values;
+					fields[fieldName].validator = (value) => {
+						if (value !== null && value !== undefined && !values.includes(value)) {
+							return `field "${fieldName}" must be one of: ${values.join(', ')}`;
+						}
+					};
+				}
 
 				return fields;
 			}, {});
@@ -95,11 +129,13 @@ exports.createModelsFromSchema = function () {
 				primaryKeyDetails: getPrimaryKeyDetails(modelName, primaryKeyColumnName)
 			};
 		} else {
-			// No primary key
+			// No primary key, or a composite one which can't be used as
+			// model id. Its columns are regular fields.
 			modelInfo.metadata = {
 				primarykey: null
 			};
 		}
+		Object.assign(modelInfo.metadata, getKeys(modelName));
 
 		return APIBuilder.Model.extend(`${self.name}/${modelName}`, modelInfo);
 	}
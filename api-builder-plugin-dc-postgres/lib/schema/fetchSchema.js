@@ -1,26 +1,80 @@
+const COLUMNS_QUERY = 'SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = $1';
+
+// Primary keys, unique constraints and foreign keys with the referenced
+// columns in the order of the constraint columns. Names of foreign keys are
+// only unique per table, so their referenced columns are read from
+// pg_constraint of the table.
+const CONSTRAINTS_QUERY = 'SELECT tc.table_name, tc.constraint_name, tc.constraint_type, kcu.column_name,'
+	+ ' rt.relname AS referenced_table_name, ra.attname AS referenced_column_name'
+	+ ' FROM INFORMATION_SCHEMA.TABLE_CONSTRAINTS tc'
+	+ ' JOIN INFORMATION_SCHEMA.KEY_COLUMN_USAGE kcu'
+	+ ' ON kcu.constraint_schema = tc.constraint_schema AND kcu.constraint_name = tc.constraint_name'
+	+ ' AND kcu.table_name = tc.table_name'
+	+ ' LEFT JOIN pg_constraint c ON tc.constraint_type = \'FOREIGN KEY\' AND c.contype = \'f\''
+	+ ' AND c.conname = tc.constraint_name'
+	+ ' AND c.conrelid = format(\'%I.%I\', tc.table_schema, tc.table_name)::regclass'
+	+ ' LEFT JOIN pg_class rt ON rt.oid = c.confrelid'
+	+ ' LEFT JOIN pg_attribute ra ON ra.attrelid = c.confrelid AND ra.attnum = c.confkey[kcu.ordinal_position]'
+	+ ' WHERE tc.table_schema = $1 AND tc.constraint_type IN (\'PRIMARY KEY\', \'UNIQUE\', \'FOREIGN KEY\')'
+	+ ' ORDER BY tc.table_name, tc.constraint_name, kcu.ordinal_position';
+
+// Unique indexes that are not backing a primary key, unique or exclusion
+// constraint, without partial and expression indexes as they can't be used as
+// conflict target by columns. Foreign keys reference the index they depend
+// on as well, which doesn't make it part of a constraint.
+const UNIQUE_INDEXES_QUERY = 'SELECT t.relname AS table_name, i.relname AS index_name, a.attname AS column_name'
+	+ ' FROM pg_index ix'
+	+ ' JOIN pg_class t ON t.oid = ix.indrelid'
+	+ ' JOIN pg_class i ON i.oid = ix.indexrelid'
+	+ ' JOIN pg_namespace n ON n.oid = t.relnamespace'
+	+ ' JOIN LATERAL unnest(ix.indkey) WITH ORDINALITY AS k(attnum, position) ON true'
+	+ ' JOIN pg_attribute a ON a.attrelid = t.oid AND a.attnum = k.attnum'
+	+ ' WHERE n.nspname = $1 AND ix.indisunique AND NOT ix.indisprimary'
+	+ ' AND ix.indpred IS NULL AND ix.indexprs IS NULL'
+	+ ' AND NOT EXISTS (SELECT 1 FROM pg_constraint c WHERE c.conindid = ix.indexrelid AND c.contype IN (\'p\', \'u\', \'x\'))'
+	+ ' ORDER BY t.relname, i.relname, k.position';
+
+// Values of enum types in the order they were declared
+const ENUMS_QUERY = 'SELECT t.typname AS type_name, e.enumlabel AS label'
+	+ ' FROM pg_type t'
+	+ ' JOIN pg_enum e ON e.enumtypid = t.oid'
+	+ ' JOIN pg_namespace n ON n.oid = t.typnamespace'
+	+ ' WHERE n.nspname = $1'
+	+ ' ORDER BY t.typname, e.enumsortorder';
+
 /**
  * Fetches the schema for your connector.
  *
- * For example, your schema could look something like this:
+ * The schema contains the columns of each table, as read from
+ * `INFORMATION_SCHEMA.COLUMNS`, and the keys read from the catalog:
  * {
  *     objects: {
  *         person: {
- *             first_name: {
- *                 type: 'string',
- *                 required: true
- *             },
- *             last_name: {
- *                 type: 'string',
- *                 required: false
- *             },
- *             age: {
- *                 type: 'number',
- *                 required: false
- *             }
+ *             id: { column_name: 'id', data_type: 'integer', ... },
+ *             email: { column_name: 'email', data_type: 'text', ... },
+ *             company_id: { column_name: 'company_id', data_type: 'integer', ... }
  *         }
- *     }
+ *     },
+ *     primary_keys: { person: 'id' },
+ *     primary_key_columns: { person: [ 'id' ] },
+ *     unique_constraints: { person: { person_email_key: [ 'email' ] } },
+ *     foreign_keys: {
+ *         person: [ {
+ *             name: 'person_company_id_fkey',
+ *             columns: [ 'company_id' ],
+ *             referencedTable: 'company',
+ *             referencedColumns: [ 'id' ]
+ *         } ]
+ *     },
+ *     enums: { mood: [ 'happy', 'sad' ] }
  * }
  *
+ * `primary_keys` only contains single column primary keys, which are the
+ * ones that can be used as primary key of a model, while
+ * `primary_key_columns` contains composite primary keys as well.
+ * `unique_constraints` contains unique constraints and unique indexes.
+ * `enums` contains the values of the enum types of the schema by `udt_name`.
+ *
  * @param {function} next - callback
  * @returns {*}
  */
@@ -30,24 +84,83 @@ exports.fetchSchema = function (next) {
 		return next(null, this.schema);
 	}
 
-	const query = 'SELECT * FROM INFORMATION_SCHEMA.COLUMNS WHERE TABLE_SCHEMA = $1';
-	debugger;
-	this._query(query, [ this.config.schema ], next, (results) => {
-		const schema = {
-			objects: {},
-			database: this.config.database,
-			primary_keys: {}
-		};
-		results.rows.map((result) => {
+	const schema = {
+		objects: {},
+		database: this.config.database,
+		primary_keys: {},
+		primary_key_columns: {},
+		unique_constraints: {},
+		foreign_keys: {},
+		enums: {}
+	};
+	this._query(COLUMNS_QUERY, [ this.config.schema ], next, (columns) => {
+		columns.rows.forEach((result) => {
 			let entry = schema.objects[result.table_name];
 			if (!entry) {
 				schema.objects[result.table_name] = entry = {};
 			}
 			entry[result.column_name] = result;
-			if (result.is_identity === 'YES') {
-				schema.primary_keys[result.table_name] = result.column_name;
-			}
 		});
-		next(null, schema);
+		this._query(CONSTRAINTS_QUERY, [ this.config.schema ], next, (constraints) => {
+			addConstraints(schema, constraints.rows);
+			this._query(UNIQUE_INDEXES_QUERY, [ this.config.schema ], next, (indexes) => {
+				indexes.rows.forEach((index) => addColumn(schema.unique_constraints, index.table_name, index.index_name, index.column_name));
+				this._query(ENUMS_QUERY, [ this.config.schema ], next, (enums) => {
+					enums.rows.forEach((row) => {
+						schema.enums[row.type_name] = (schema.enums[row.type_name] || []).concat(row.label);
+					});
+					next(null, schema);
+				});
+			});
+		});
 	});
 };
+
+/**
+ * Adds the keys of the rows of the constraints query to the schema.
+ * @param {object} schema - schema
+ * @param {object[]} rows - constraint columns in order
+ */
+function addConstraints(schema, rows) {
+	const foreignKeys = {};
+	rows.forEach((row) => {
+		const table = row.table_name;
+		if (row.constraint_type === 'PRIMARY KEY') {
+			schema.primary_key_columns[table] = (schema.primary_key_columns[table] || []).concat(row.column_name);
+		} else if (row.constraint_type === 'UNIQUE') {
+			addColumn(schema.unique_constraints, table, row.constraint_name, row.column_name);
+		} else {
+			const id = `${table}.${row.constraint_name}`;
+			if (!foreignKeys[id]) {
+				foreignKeys[id] = {
+					name: row.constraint_name,
+					columns: [],
+					referencedTable: row.referenced_table_name,
+					referencedColumns: []
+				};
+				schema.foreign_keys[table] = (schema.foreign_keys[table] || []).concat(foreignKeys[id]);
+			}
+			foreignKeys[id].columns.push(row.column_name);
+			foreignKeys[id].referencedColumns.push(row.referenced_column_name);
+		}
+	});
+	Object.keys(schema.primary_key_columns).forEach((table) => {
+		const columns = schema.primary_key_columns[table];
+		if (columns.length === 1) {
+			schema.primary_keys[table] = columns[0];
+		}
+	});
+}
+
+/**
+ * Adds a column to a named key of a table.
+ * @param {object} keys - keys by table and name
+ * @param {string} table - table name
+ * @param {string} name - key name
+ * @param {string} column - column name
+ */
+function addColumn(keys, table, name, column) {
+	const tableKeys = keys[table] || {};
+	keys[table] = tableKeys;
+	tableKeys[name] = (tableKeys[name] || []).concat(column);
+}
@@ -1,40 +1,47 @@
 /**
- * Converts SQL data types to their appropriate JavaScript type.
- * @param {string} dataType - sql data type
+ * Converts Postgres data types to their appropriate JavaScript type.
+ * The `udt_name` of the column is used for arrays and user-defined types
+ * such as enums, which have `ARRAY` and `USER-DEFINED` as data type.
+ * @param {string} dataType - sql data type, the `data_type` of the column
+ * @param {string} [udtName] - the `udt_name` of the column
  * @returns {Type} js data type
  */
-exports.convertDataTypeToJSType = function convertDataTypeToJSType (dataType) {
-	switch (dataType) {
-		// Integer Types (Exact Value)
-		case 'integer':
-		case 'int':
+exports.convertDataTypeToJSType = function convertDataTypeToJSType (dataType, udtName) {
+	if (dataType === 'ARRAY' || /^_/.test(udtName || '')) {
+		return Array;
+	}
+	switch (dataType === 'USER-DEFINED' ? udtName : dataType) {
+		// Integer Types
 		case 'smallint':
-		case 'tinyint':
-		case 'mediumint':
+		case 'integer':
 		case 'bigint':
+		case 'int2':
+		case 'int4':
+		case 'int8':
 
-		// Fixed-Point Types (Exact Value)
-		case 'decimal':
+		// Arbitrary Precision Numbers
 		case 'numeric':
+		case 'decimal':
 
-		// Floating-Point Types (Approximate Value)
-		case 'float':
+		// Floating-Point Types
 		case 'real':
-		case 'double':
-
-		// Bit-Value Type - BIT
-		case 'bit':
-
-		// Date and Time Types
-		case 'year':
-
-		// This one should be considered for revision
-		case 'binary':
+		case 'double precision':
+		case 'float4':
+		case 'float8':
 			return Number;
+		case 'boolean':
+		case 'bool':
+			return Boolean;
+		case 'json':
+		case 'jsonb':
+			return Object;
 		case 'date':
-		case 'datetime':
-		case 'time':
+		case 'timestamp without time zone':
+		case 'timestamp with time zone':
+		case 'timestamp':
+		case 'timestamptz':
 			return Date;
+		// Character types, uuid, time, enums and any other type
 		default:
 			return String;
 	}
@@ -1,5 +1,5 @@
 /**
- * Fetches the if the table primary_key is auto_increment, based on its name.
+ * Fetches if the table primary key is generated by the database, based on its name.
  * @param {object} Model - model to use
  * @returns {boolean}
  */
@@ -10,6 +10,6 @@ exports.getAutogenerated = function getAutogenerated (Model) {
 	const name = this.getTableName(Model);
 	const primaryKeyColumn = this.getPrimaryKeyColumn(Model);
 	if (primaryKeyColumn) {
-		return this.schema.objects[name][primaryKeyColumn].identity_increment > -1;
+		return this.isAutogeneratedColumn(this.schema.objects[name][primaryKeyColumn]);
 	}
 };
@@ -1,12 +1,21 @@
 /**
  * Creates a model instance based on the provided row data.
+ * The driver returns bigint and numeric values as strings to not lose
+ * precision, they are converted for fields of type Number.
  * @param {object} Model - model to use
  * @param {*} row - row
  * @returns {object} model instance
  */
 exports.getInstanceFromRow = function (Model, row) {
 	const primaryKeyColumn = this.getPrimaryKeyColumn(Model);
-	const instance = Model.instance(row, true);
+	const fields = Model.fields || {};
+	const values = Object.assign({}, row);
+	Object.keys(fields).forEach((name) => {
+		if (fields[name].type === 'number' && typeof values[name] === 'string') {
+			values[name] = Number(values[name]);
+		}
+	});
+	const instance = Model.instance(values, true);
 
 	if (primaryKeyColumn) {
 		instance.setPrimaryKey(row[primaryKeyColumn]);
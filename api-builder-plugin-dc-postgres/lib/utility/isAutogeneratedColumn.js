@@ -0,0 +1,10 @@
+/**
+ * Checks if the database generates the value of a column, i.e. if it is an
+ * identity column or a serial column with a sequence as default.
+ * @param {object} column - column from the schema
+ * @returns {boolean}
+ */
+exports.isAutogeneratedColumn = function isAutogeneratedColumn (column) {
+	return !!column && (column.is_identity === 'YES'
+		|| /^nextval\(/i.test(column.column_default || ''));
+};
@@ -0,0 +1,18 @@
+/**
+ * Prepares a value of a model to be written to a column. Values of json and
+ * jsonb columns are serialized, as the driver would write arrays as Postgres
+ * arrays instead.
+ * @param {string} table - table name
+ * @param {string} column - column name
+ * @param {*} value - value of the model
+ * @returns {*} value for the query
+ */
+exports.prepareValue = function prepareValue (table, column, value) {
+	const tableSchema = this.schema.objects[table];
+	const columnSchema = tableSchema && tableSchema[column];
+	if (value !== null && value !== undefined && columnSchema
+		&& (columnSchema.data_type === 'json' || columnSchema.data_type === 'jsonb')) {
+		return JSON.stringify(value);
+	}
+	return value;
+};
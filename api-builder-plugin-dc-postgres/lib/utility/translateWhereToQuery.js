@@ -1,70 +1,235 @@
+const COMPARISONS = {
+	$lt: '<',
+	$lte: '<=',
+	$gt: '>',
+	$gte: '>=',
+	$like: 'LIKE',
+	$notLike: 'NOT LIKE',
+	$ilike: 'ILIKE',
+	$notIlike: 'NOT ILIKE'
+};
+
+// Comparisons that compare the value at a json path as number
+const ORDERINGS = [ '$lt', '$lte', '$gt', '$gte' ];
+
+// Operators of jsonb values, their operand is a jsonb value or a list of keys.
+// Values of json columns are cast to jsonb, as there are no json operators.
+const JSON_OPERATORS = {
+	$contains: '@>',
+	$containedBy: '<@',
+	$hasKey: '?',
+	$hasAnyKeys: '?|',
+	$hasAllKeys: '?&'
+};
+
 /**
  * Translates a "where" object in to the relevant portion of a SQL Query.
+ *
+ * Conditions of multiple fields are combined with AND, `$or` and `$and`
+ * combine a list of nested where objects. Multiple operators of a field,
+ * e.g. `{ $gt: 1, $lt: 5 }`, are combined with AND as well.
+ *
+ * Supported operators are `$eq`, `$ne`, `$lt`, `$lte`, `$gt`, `$gte`, `$in`,
+ * `$nin`, `$like`, `$notLike`, `$ilike`, `$notIlike`, `$regex` with
+ * `$options: 'i'` for case-insensitive matching, `$exists` to check for null
+ * and, for json and jsonb columns, `$contains`, `$containedBy`, `$hasKey`,
+ * `$hasAnyKeys` and `$hasAllKeys`, which cast json values to jsonb, as do
+ * `$eq`, `$ne`, `$in` and `$nin` on json columns. `$contains` and
+ * `$containedBy` apply to array columns as well. Comparing with `null` checks
+ * for null. The value at a path of a json or jsonb column is queried
+ * with a key such as `address.city`, and is compared as text, or as numeric
+ * by `$lt`, `$lte`, `$gt` and `$gte` with a number.
+ *
+ * Placeholders are numbered after the values already in `values`.
+ *
  * @param {object} Model - The model object
  * @param {object} where - query object
  * @param {array} values - values that get updated with query items
- * @returns {string} sql query
+ * @returns {object} `{ sql, forceEmpty }` with the sql query
  */
 exports.translateWhereToQuery = function (Model, where, values) {
-	let forceEmpty = false; // Sometimes we know there'll be no results without having to run
-	let whereQuery = [];
-	let queryValues = [];
-
-	for (const key in where) {
-		if (where.hasOwnProperty(key) && where[key] !== undefined) {
-			const safeColumn = this.escapeColumn(Model, key);
-			if (!safeColumn) {
-				throw new Error(`unknown column in where clause: ${key}`);
-			}
-			if (where[key].$like) {
-				whereQuery.push(`${safeColumn} LIKE $1`);
-				queryValues.push(where[key].$like);
-			} else if (where[key].$lt) {
-				whereQuery.push(`${safeColumn} < $1`);
-				queryValues.push(where[key].$lt);
-			} else if (where[key].$lte) {
-				whereQuery.push(`${safeColumn} <= $1`);
-				queryValues.push(where[key].$lte);
-			} else if (where[key].$gt) {
-				whereQuery.push(`${safeColumn} > $1`);
-				queryValues.push(where[key].$gt);
-			} else if (where[key].$gte) {
-				whereQuery.push(`${safeColumn} >= $1`);
-				queryValues.push(where[key].$gte);
-			} else if (where[key].$ne) {
-				whereQuery.push(`${safeColumn} != $1`);
-				queryValues.push(where[key].$ne);
-			} else if (where[key].$in) {
-				const val = Array.isArray(where[key].$in) ? where[key].$in : [ where[key].$in ];
-				if (!val.length) {
-					// $in with empty array has to return no results
-					queryValues = [];
-					whereQuery = [ '0 != 0' ]; // Safety net
-					forceEmpty = true;
-					break;
-				}
-				whereQuery.push(`${safeColumn} IN (${val.map(() => '$1').join(',')})`);
-				queryValues.push(...val);
-			} else if (where[key].$nin) {
-				const val = Array.isArray(where[key].$nin) ? where[key].$nin : [ where[key].$nin ];
-				if (!val.length) {
-					// $nin with empty array has no effect
-					continue;
-				}
-				whereQuery.push(`${safeColumn} NOT IN (${val.map(() => '$1').join(',')})`);
-				queryValues.push(...val);
-			} else {
-				const val = where[key].hasOwnProperty('$eq') ? where[key].$eq : where[key];
-				whereQuery.push(`${safeColumn} = $1`);
-				queryValues.push(val);
-			}
+	const queryValues = [];
+	const context = {
+		connector: this,
+		Model,
+		param: (value) => {
+			queryValues.push(value);
+			return `$${values.length + queryValues.length}`;
 		}
+	};
+
+	const conditions = translateConditions(context, where);
+	if (conditions.includes('FALSE')) {
+		// Sometimes we know there'll be no results without having to run
+		return { forceEmpty: true, sql: ' WHERE FALSE' };
 	}
 
 	let sql = '';
-	if (whereQuery.length) {
-		sql = ` WHERE ${whereQuery.join(' AND ')}`;
+	if (conditions.length) {
+		sql = ` WHERE ${conditions.join(' AND ')}`;
 		values.push(...queryValues);
 	}
-	return { forceEmpty, sql };
+	return { forceEmpty: false, sql };
 };
+
+/**
+ * Translates the fields and logical operators of a where object. Conditions
+ * that are always true are left out.
+ * @param {object} context - `{ connector, Model, param }`
+ * @param {object} where - where object
+ * @returns {string[]} conditions to combine with AND
+ */
+function translateConditions(context, where) {
+	const conditions = [];
+	Object.keys(where).forEach((key) => {
+		const value = where[key];
+		if (value === undefined) {
+			return;
+		}
+		if (key === '$or' || key === '$and') {
+			if (!Array.isArray(value)) {
+				throw new Error(`${key} in where clause must be an array`);
+			}
+			const nested = value.map((condition) => {
+				const parts = translateConditions(context, context.Model.translateKeysForPayload(condition));
+				if (!parts.length) {
+					return 'TRUE';
+				}
+				return parts.length === 1 ? parts[0] : `(${parts.join(' AND ')})`;
+			});
+			conditions.push(key === '$or' ? combine(nested, 'OR', 'FALSE') : combine(nested, 'AND', 'TRUE'));
+		} else {
+			conditions.push(...translateField(context, key, value));
+		}
+	});
+	return conditions.filter((condition) => condition !== 'TRUE');
+}
+
+/**
+ * Combines conditions, leaving out the ones without effect.
+ * @param {string[]} conditions - conditions
+ * @param {string} operator - AND or OR
+ * @param {string} neutral - the condition without effect, TRUE for AND
+ * @returns {string} condition
+ */
+function combine(conditions, operator, neutral) {
+	const parts = conditions.filter((condition) => condition !== neutral);
+	if (!parts.length) {
+		return neutral;
+	}
+	return parts.length === 1 ? parts[0] : `(${parts.join(` ${operator} `)})`;
+}
+
+/**
+ * Translates the condition of a field.
+ * @param {object} context - `{ connector, Model, param }`
+ * @param {string} key - column, or column and path of a json value
+ * @param {*} value - value or operators
+ * @returns {string[]} conditions to combine with AND
+ */
+function translateField(context, key, value) {
+	const { connector, Model, param } = context;
+	const tableName = connector.getTableName(Model);
+	let column = connector.escapeColumn(Model, key);
+	let path = null;
+	if (!column && key.includes('.')) {
+		const [ name, ...keys ] = key.split('.');
+		column = connector.escapeColumn(Model, name);
+		if (column && jsonType(connector, Model, column)) {
+			path = keys;
+		}
+	}
+	if (!column || (key.includes('.') && !path)) {
+		throw new Error(`unknown column in where clause: ${key}`);
+	}
+
+	// The value at a path is compared as text, but json operators use jsonb.
+	// The placeholder of the path is only added once a condition uses it.
+	let pathPlaceholder = null;
+	const atPath = (operator) => {
+		pathPlaceholder = pathPlaceholder || param(path);
+		return `${column} ${operator} ${pathPlaceholder}`;
+	};
+	const dataType = jsonType(connector, Model, column);
+	const target = () => (path ? atPath('#>>') : column);
+	const jsonTarget = () => {
+		if (path) {
+			return dataType === 'jsonb' ? atPath('#>') : `(${atPath('#>')})::jsonb`;
+		}
+		return dataType === 'json' ? `${column}::jsonb` : column;
+	};
+	// json has no equality operator, its values are compared as jsonb
+	const equalityTarget = () => (path ? target() : jsonTarget());
+	const prepare = (operand) => (path ? operand : connector.prepareValue(tableName, column, operand));
+
+	if (!isOperators(value)) {
+		return [ value === null ? `${target()} IS NULL` : `${equalityTarget()} = ${param(prepare(value))}` ];
+	}
+
+	return Object.keys(value).map((operator) => {
+		const operand = value[operator];
+		if (COMPARISONS[operator]) {
+			// The text at a path is compared as number with a number
+			const numeric = path && typeof operand === 'number' && ORDERINGS.includes(operator);
+			return `${numeric ? `(${target()})::numeric` : target()} ${COMPARISONS[operator]} ${param(operand)}`;
+		}
+		if (JSON_OPERATORS[operator]) {
+			if (operator === '$contains' || operator === '$containedBy') {
+				const json = path || dataType;
+				return `${json ? jsonTarget() : column} ${JSON_OPERATORS[operator]} ${json ? `${param(JSON.stringify(operand))}::jsonb` : param(operand)}`;
+			}
+			return `${jsonTarget()} ${JSON_OPERATORS[operator]} ${param(operand)}`;
+		}
+		switch (operator) {
+			case '$eq':
+				return operand === null ? `${target()} IS NULL` : `${equalityTarget()} = ${param(prepare(operand))}`;
+			case '$ne':
+				return operand === null ? `${target()} IS NOT NULL` : `${equalityTarget()} != ${param(prepare(operand))}`;
+			case '$exists':
+				return operand ? `${target()} IS NOT NULL` : `${target()} IS NULL`;
+			case '$in':
+			case '$nin': {
+				const list = Array.isArray(operand) ? operand : [ operand ];
+				if (!list.length) {
+					// $in with empty array has to return no results, $nin has no effect
+					return operator === '$in' ? 'FALSE' : 'TRUE';
+				}
+				return `${equalityTarget()} ${operator === '$in' ? 'IN' : 'NOT IN'} (${list.map((item) => param(prepare(item))).join(',')})`;
+			}
+			case '$regex': {
+				const regex = operand instanceof RegExp ? operand.source : operand;
+				const flags = operand instanceof RegExp ? operand.flags : (value.$options || '');
+				return `${target()} ${flags.includes('i') ? '~*' : '~'} ${param(regex)}`;
+			}
+			case '$options':
+				// Applies to $regex
+				return 'TRUE';
+			default:
+				throw new Error(`unsupported operator in where clause: ${operator}`);
+		}
+	});
+}
+
+/**
+ * Checks if the value of a field is an object of operators, e.g. `{ $gt: 1 }`.
+ * @param {*} value - value
+ * @returns {boolean}
+ */
+function isOperators(value) {
+	return !!value && typeof value === 'object' && !Array.isArray(value)
+		&& !(value instanceof Date) && !Buffer.isBuffer(value)
+		&& Object.keys(value).some((key) => key.startsWith('$'));
+}
+
+/**
+ * Returns the type of a json or jsonb column.
+ * @param {object} connector - connector
+ * @param {object} Model - model
+ * @param {string} column - column
+ * @returns {string} json, jsonb or null for other columns
+ */
+function jsonType(connector, Model, column) {
+	const schema = connector.getTableSchema(Model);
+	const dataType = schema && schema[column] && schema[column].data_type;
+	return dataType === 'json' || dataType === 'jsonb' ? dataType : null;
+}
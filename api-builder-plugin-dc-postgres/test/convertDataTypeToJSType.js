@@ -0,0 +1,62 @@
+const { expect } = require('chai');
+const { createConnector } = require('./utils');
+
+describe('Postgres convertDataTypeToJSType', () => {
+	const { convertDataTypeToJSType } = createConnector();
+
+	it('should map numeric, boolean, json and date types', () => {
+		[ 'smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision' ].forEach((dataType) => {
+			expect(convertDataTypeToJSType(dataType), dataType).to.equal(Number);
+		});
+		expect(convertDataTypeToJSType('boolean')).to.equal(Boolean);
+		expect(convertDataTypeToJSType('json')).to.equal(Object);
+		expect(convertDataTypeToJSType('jsonb')).to.equal(Object);
+		[ 'date', 'timestamp without time zone', 'timestamp with time zone' ].forEach((dataType) => {
+			expect(convertDataTypeToJSType(dataType), dataType).to.equal(Date);
+		});
+	});
+
+	it('should map uuid, character and time types to String', () => {
+		[ 'uuid', 'text', 'character varying', 'time without time zone' ].forEach((dataType) => {
+			expect(convertDataTypeToJSType(dataType), dataType).to.equal(String);
+		});
+	});
+
+	it('should map arrays by data type or udt_name', () => {
+		expect(convertDataTypeToJSType('ARRAY', '_text')).to.equal(Array);
+		expect(convertDataTypeToJSType('ARRAY', '_int4')).to.equal(Array);
+		expect(convertDataTypeToJSType('USER-DEFINED', '_mood')).to.equal(Array);
+	});
+
+	it('should map user-defined types by udt_name', () => {
+		expect(convertDataTypeToJSType('USER-DEFINED', 'mood')).to.equal(String);
+		expect(convertDataTypeToJSType('USER-DEFINED', 'int4')).to.equal(Number);
+	});
+});
+
+describe('Postgres enum fields', () => {
+	const schema = {
+		objects: {
+			person: {
+				id: { column_name: 'id', data_type: 'integer' },
+				mood: { column_name: 'mood', data_type: 'USER-DEFINED', udt_name: 'mood', is_nullable: 'YES' },
+				moods: { column_name: 'moods', data_type: 'ARRAY', udt_name: '_mood', is_nullable: 'YES' }
+			}
+		},
+		primary_keys: { person: 'id' },
+		enums: { mood: [ 'happy', 'sad' ] }
+	};
+
+	it('should restrict enum fields to the values of the enum', () => {
+		const connector = createConnector(schema);
+		connector.config = {};
+		connector.createModelsFromSchema();
+		const { mood, moods } = connector.models['postgres/person'].fields;
+		expect(mood.type).to.equal(String);
+		expect(mood.enum).to.deep.equal([ 'happy', 'sad' ]);
+		expect(mood.validator('happy')).to.equal(undefined);
+		expect(mood.validator(null)).to.equal(undefined);
+		expect(mood.validator('angry')).to.equal('field "mood" must be one of: happy, sad');
+		expect(moods).to.deep.equal({ type: Array, required: false });
+	});
+});
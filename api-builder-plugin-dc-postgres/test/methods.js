@@ -0,0 +1,76 @@
+const { expect } = require('chai');
+const { createConnector, createModel } = require('./utils');
+
+describe('Postgres create and save', () => {
+	const schema = {
+		objects: {
+			person: {
+				id: { column_name: 'id', data_type: 'integer', column_default: 'nextval(\'person_id_seq\'::regclass)' },
+				name: { column_name: 'name', data_type: 'text' },
+				created: { column_name: 'created', data_type: 'timestamp with time zone', column_default: 'now()' }
+			}
+		},
+		primary_keys: { person: 'id' }
+	};
+	const Model = createModel('person', {
+		primarykey: 'id',
+		primaryKeyDetails: { autogenerated: true }
+	}, {
+		id: { type: 'number' }
+	});
+
+	it('should insert the set fields and return the inserted row', (done) => {
+		const row = { id: 7, name: 'Jane', created: new Date(0) };
+		const connector = createConnector(schema, { rowCount: 1, rows: [ row ] });
+		connector.create(Model, { name: 'Jane', created: undefined }, (err, instance) => {
+			expect(err).to.equal(null);
+			expect(connector._query.lastCall.args[0]).to.equal('INSERT INTO person (name) VALUES ($1) RETURNING *');
+			expect(connector._query.lastCall.args[1]).to.deep.equal([ 'Jane' ]);
+			expect(instance.values).to.deep.equal(row);
+			expect(instance.getPrimaryKey()).to.equal(7);
+			done();
+		});
+	});
+
+	it('should convert bigint and numeric values of Number fields', (done) => {
+		const connector = createConnector(schema, { rowCount: 1, rows: [ { id: '7', name: '12' } ] });
+		connector.create(Model, { name: '12' }, (err, instance) => {
+			expect(err).to.equal(null);
+			expect(instance.values).to.deep.equal({ id: 7, name: '12' });
+			done();
+		});
+	});
+
+	it('should insert default values without fields', (done) => {
+		const connector = createConnector(schema, { rowCount: 1, rows: [ { id: 1 } ] });
+		connector.create(Model, {}, (err) => {
+			expect(err).to.equal(null);
+			expect(connector._query.lastCall.args[0]).to.equal('INSERT INTO person DEFAULT VALUES RETURNING *');
+			done();
+		});
+	});
+
+	it('should update by primary key and return the updated row', (done) => {
+		const connector = createConnector(schema, { rowCount: 1, rows: [ { id: 7, name: 'Joe' } ] });
+		const instance = Model.instance({ name: 'Joe' });
+		instance.setPrimaryKey(7);
+		connector.save(Model, instance, (err, updated) => {
+			expect(err).to.equal(null);
+			expect(connector._query.lastCall.args[0]).to.equal('UPDATE person SET name = $1 WHERE id = $2 RETURNING *');
+			expect(connector._query.lastCall.args[1]).to.deep.equal([ 'Joe', 7 ]);
+			expect(updated.values).to.deep.equal({ id: 7, name: 'Joe' });
+			done();
+		});
+	});
+
+	it('should return nothing if no row was updated', (done) => {
+		const connector = createConnector(schema, { rowCount: 0, rows: [] });
+		const instance = Model.instance({ name: 'Joe' });
+		instance.setPrimaryKey(8);
+		connector.save(Model, instance, (err, updated) => {
+			expect(err).to.equal(undefined);
+			expect(updated).to.equal(undefined);
+			done();
+		});
+	});
+});
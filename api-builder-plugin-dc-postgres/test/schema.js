@@ -0,0 +1,109 @@
+const { expect } = require('chai');
+const simple = require('simple-mock');
+const { createConnector } = require('./utils');
+
+describe('Postgres schema', () => {
+	const columns = [
+		{ table_name: 'company', column_name: 'id', data_type: 'integer', is_nullable: 'NO', column_default: 'nextval(\'company_id_seq\'::regclass)' },
+		{ table_name: 'person', column_name: 'id', data_type: 'integer', is_nullable: 'NO' },
+		{ table_name: 'person', column_name: 'company_id', data_type: 'integer', is_nullable: 'NO' },
+		{ table_name: 'person', column_name: 'email', data_type: 'text', is_nullable: 'YES' }
+	];
+	const constraints = [
+		{ table_name: 'company', constraint_name: 'company_pkey', constraint_type: 'PRIMARY KEY', column_name: 'id' },
+		{ table_name: 'person', constraint_name: 'person_company_id_fkey', constraint_type: 'FOREIGN KEY', column_name: 'company_id', referenced_table_name: 'company', referenced_column_name: 'id' },
+		{ table_name: 'person', constraint_name: 'person_email_key', constraint_type: 'UNIQUE', column_name: 'email' },
+		{ table_name: 'person', constraint_name: 'person_pkey', constraint_type: 'PRIMARY KEY', column_name: 'id' },
+		{ table_name: 'person', constraint_name: 'person_pkey', constraint_type: 'PRIMARY KEY', column_name: 'company_id' }
+	];
+	const indexes = [
+		{ table_name: 'person', index_name: 'person_lower_email_idx', column_name: 'email' }
+	];
+
+	/**
+	 * Fetches the schema of the given catalog rows, by order of the queries.
+	 * @param {object[]} [constraintRows] - rows of the constraints query
+	 * @returns {Promise<object>} schema
+	 */
+	function fetchSchema(constraintRows = constraints) {
+		const connector = createConnector();
+		const results = [ columns, constraintRows, indexes, [] ];
+		connector._query = simple.mock().callFn((query, values, callback, executor) => executor({ rows: results.shift() }));
+		connector.config = { database: 'test', schema: 'public' };
+		return new Promise((resolve, reject) => connector.fetchSchema((err, schema) => (err ? reject(err) : resolve(schema))));
+	}
+
+	it('should read single column and composite primary keys', async () => {
+		const schema = await fetchSchema();
+		expect(schema.primary_keys).to.deep.equal({ company: 'id' });
+		expect(schema.primary_key_columns).to.deep.equal({ company: [ 'id' ], person: [ 'id', 'company_id' ] });
+	});
+
+	it('should read unique constraints, unique indexes and foreign keys', async () => {
+		const schema = await fetchSchema();
+		expect(schema.unique_constraints).to.deep.equal({
+			person: { person_email_key: [ 'email' ], person_lower_email_idx: [ 'email' ] }
+		});
+		expect(schema.foreign_keys).to.deep.equal({
+			person: [ {
+				name: 'person_company_id_fkey',
+				columns: [ 'company_id' ],
+				referencedTable: 'company',
+				referencedColumns: [ 'id' ]
+			} ]
+		});
+	});
+
+	it('should keep foreign keys with the same name of different tables apart', async () => {
+		const schema = await fetchSchema([
+			{ table_name: 'company', constraint_name: 'owner_fkey', constraint_type: 'FOREIGN KEY', column_name: 'id', referenced_table_name: 'person', referenced_column_name: 'company_id' },
+			{ table_name: 'person', constraint_name: 'owner_fkey', constraint_type: 'FOREIGN KEY', column_name: 'company_id', referenced_table_name: 'company', referenced_column_name: 'id' }
+		]);
+		expect(schema.foreign_keys.company).to.deep.equal([
+			{ name: 'owner_fkey', columns: [ 'id' ], referencedTable: 'person', referencedColumns: [ 'company_id' ] }
+		]);
+		expect(schema.foreign_keys.person).to.deep.equal([
+			{ name: 'owner_fkey', columns: [ 'company_id' ], referencedTable: 'company', referencedColumns: [ 'id' ] }
+		]);
+	});
+
+	it('should read the referenced columns of foreign keys from pg_constraint of the table', async () => {
+		const connector = createConnector();
+		connector.config = { database: 'test', schema: 'public' };
+		connector._query = simple.mock().callFn((query, values, callback, executor) => executor({ rows: [] }));
+		await new Promise((resolve) => connector.fetchSchema(resolve));
+		const [ constraintsQuery ] = connector._query.calls[1].args;
+		const [ indexesQuery ] = connector._query.calls[2].args;
+		expect(constraintsQuery).to.include('c.conrelid = format(\'%I.%I\', tc.table_schema, tc.table_name)::regclass');
+		expect(constraintsQuery).not.to.include('REFERENTIAL_CONSTRAINTS');
+		expect(indexesQuery).to.include('c.contype IN (\'p\', \'u\', \'x\')');
+	});
+
+	it('should create models with the primary key and keys as metadata', async () => {
+		const connector = createConnector(await fetchSchema());
+		connector.config = {};
+		connector.createModelsFromSchema();
+		const company = connector.models['postgres/company'];
+		expect(company.metadata.primarykey).to.equal('id');
+		expect(company.metadata.primaryKeyDetails).to.deep.equal({ autogenerated: true, type: 'number' });
+		expect(company.fields).to.deep.equal({});
+		const person = connector.models['postgres/person'];
+		expect(person.metadata.foreignKeys).to.deep.equal([ {
+			name: 'person_company_id_fkey',
+			columns: [ 'company_id' ],
+			references: { model: 'postgres/company', table: 'company', columns: [ 'id' ] }
+		} ]);
+	});
+
+	it('should create models without primary key for composite primary keys', async () => {
+		const connector = createConnector(await fetchSchema());
+		connector.config = {};
+		connector.createModelsFromSchema();
+		const person = connector.models['postgres/person'];
+		expect(person.metadata.primarykey).to.equal(null);
+		expect(person.metadata.primaryKeyDetails).to.equal(undefined);
+		expect(person.metadata.primaryKeyColumns).to.deep.equal([ 'id', 'company_id' ]);
+		expect(Object.keys(person.fields)).to.deep.equal([ 'id', 'company_id', 'email' ]);
+		expect(person.fields.id).to.deep.equal({ type: Number, required: true });
+	});
+});
@@ -0,0 +1,107 @@
+const { expect } = require('chai');
+const { createConnector, createModel } = require('./utils');
+
+describe('Postgres translateWhereToQuery', () => {
+	const schema = {
+		objects: {
+			item: {
+				id: { column_name: 'id', data_type: 'integer' },
+				name: { column_name: 'name', data_type: 'text' },
+				price: { column_name: 'price', data_type: 'numeric' },
+				tags: { column_name: 'tags', data_type: 'ARRAY', udt_name: '_text' },
+				data: { column_name: 'data', data_type: 'json' },
+				doc: { column_name: 'doc', data_type: 'jsonb' }
+			}
+		}
+	};
+	const Model = createModel('item');
+	let connector;
+
+	beforeEach(() => {
+		connector = createConnector(schema);
+	});
+
+	/**
+	 * Translates a where object after the given values.
+	 * @param {object} where - where object
+	 * @param {array} [values] - values of the query
+	 * @returns {object} `{ sql, values, forceEmpty }`
+	 */
+	function translate(where, values = []) {
+		const result = connector.translateWhereToQuery(Model, where, values);
+		return Object.assign({ values }, result);
+	}
+
+	it('should number the placeholders after the existing values', () => {
+		const result = translate({ name: 'a', price: { $gt: 10, $lte: 100 } }, [ 'x' ]);
+		expect(result.sql).to.equal(' WHERE name = $2 AND price > $3 AND price <= $4');
+		expect(result.values).to.deep.equal([ 'x', 'a', 10, 100 ]);
+	});
+
+	it('should translate nested $or and $and with null', () => {
+		const result = translate({ $or: [ { name: null }, { $and: [ { name: 'a' }, { price: { $ne: null } } ] } ] });
+		expect(result.sql).to.equal(' WHERE (name IS NULL OR (name = $1 AND price IS NOT NULL))');
+		expect(result.values).to.deep.equal([ 'a' ]);
+	});
+
+	it('should leave out conditions without effect', () => {
+		expect(translate({ $and: [ {} ], id: { $nin: [] } }).sql).to.equal('');
+		expect(translate({ $or: [ { id: { $in: [] } }, { name: 'a' } ] }).sql).to.equal(' WHERE name = $1');
+		expect(translate({ $and: [ { id: { $nin: [] } }, { name: 'a' } ] }).sql).to.equal(' WHERE name = $1');
+	});
+
+	it('should force an empty result for $in with an empty list', () => {
+		const result = translate({ name: 'a', id: { $in: [] } });
+		expect(result).to.deep.equal({ forceEmpty: true, sql: ' WHERE FALSE', values: [] });
+	});
+
+	it('should translate $ilike, $regex and $exists', () => {
+		const result = translate({ name: { $ilike: 'a%', $regex: '^a', $options: 'i' }, price: { $exists: true } });
+		expect(result.sql).to.equal(' WHERE name ILIKE $1 AND name ~* $2 AND price IS NOT NULL');
+		expect(result.values).to.deep.equal([ 'a%', '^a' ]);
+	});
+
+	it('should translate jsonb operators', () => {
+		const result = translate({ doc: { $hasKey: 'a', $contains: { a: 1 }, $containedBy: [ 1 ] } });
+		expect(result.sql).to.equal(' WHERE doc ? $1 AND doc @> $2::jsonb AND doc <@ $3::jsonb');
+		expect(result.values).to.deep.equal([ 'a', '{"a":1}', '[1]' ]);
+	});
+
+	it('should cast json columns to jsonb for json operators', () => {
+		const result = translate({ data: { $hasKey: 'a', $contains: { a: 1 } }, doc: { $containedBy: [ 1 ] } });
+		expect(result.sql).to.equal(' WHERE data::jsonb ? $1 AND data::jsonb @> $2::jsonb AND doc <@ $3::jsonb');
+		expect(result.values).to.deep.equal([ 'a', '{"a":1}', '[1]' ]);
+	});
+
+	it('should compare json columns as jsonb', () => {
+		const result = translate({ data: { a: 1 }, doc: { $ne: [ 1 ] } });
+		expect(result.sql).to.equal(' WHERE data::jsonb = $1 AND doc != $2');
+		expect(result.values).to.deep.equal([ '{"a":1}', '[1]' ]);
+		expect(translate({ data: { $eq: 'x' } }).sql).to.equal(' WHERE data::jsonb = $1');
+		expect(translate({ data: { $nin: [ { a: 1 }, 2 ] } })).to.deep.equal({
+			forceEmpty: false,
+			sql: ' WHERE data::jsonb NOT IN ($1,$2)',
+			values: [ '{"a":1}', '2' ]
+		});
+	});
+
+	it('should compare array columns with arrays', () => {
+		const result = translate({ tags: { $contains: [ 'new' ] } });
+		expect(result.sql).to.equal(' WHERE tags @> $1');
+		expect(result.values).to.deep.equal([ [ 'new' ] ]);
+	});
+
+	it('should compare values at a path as text, or as numeric with numbers', () => {
+		const result = translate({ 'data.a.b': { $contains: [ 1 ], $gt: 5, $lt: '7' }, 'doc.c': 'x' });
+		expect(result.sql).to.equal(' WHERE (data #> $1)::jsonb @> $2::jsonb'
+			+ ' AND (data #>> $1)::numeric > $3 AND data #>> $1 < $4 AND doc #>> $5 = $6');
+		expect(result.values).to.deep.equal([ [ 'a', 'b' ], '[1]', 5, '7', [ 'c' ], 'x' ]);
+	});
+
+	it('should fail for unknown columns and operators', () => {
+		expect(() => translate({ color: 'red' })).to.throw('unknown column in where clause: color');
+		expect(() => translate({ 'name.a': 'x' })).to.throw('unknown column in where clause: name.a');
+		expect(() => translate({ name: { $near: 'x' } })).to.throw('unsupported operator in where clause: $near');
+		expect(() => translate({ $or: { name: 'x' } })).to.throw('$or in where clause must be an array');
+	});
+});
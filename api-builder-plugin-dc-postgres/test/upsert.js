@@ -0,0 +1,74 @@
+const { expect } = require('chai');
+const { ORMError, createConnector, createModel } = require('./utils');
+
+describe('Postgres upsert', () => {
+	const schema = {
+		objects: {
+			users: {
+				id: { column_name: 'id', data_type: 'integer' },
+				email: { column_name: 'email', data_type: 'text' },
+				name: { column_name: 'name', data_type: 'text' }
+			}
+		},
+		primary_keys: { users: 'id' },
+		unique_constraints: { users: { users_email_key: [ 'email' ] } }
+	};
+
+	it('should detect the conflict on the primary key', (done) => {
+		const connector = createConnector(schema, { rowCount: 1, rows: [ { id: 3, name: 'Jane' } ] });
+		const Model = createModel('users', { primarykey: 'id' });
+		connector.upsert(Model, 3, { name: 'Jane' }, (err, instance) => {
+			expect(err).to.equal(null);
+			expect(connector._query.lastCall.args[0]).to.equal('INSERT INTO users (id,name) VALUES ($1,$2)'
+				+ ' ON CONFLICT (id) DO UPDATE SET name = EXCLUDED.name RETURNING *');
+			expect(connector._query.lastCall.args[1]).to.deep.equal([ 3, 'Jane' ]);
+			expect(instance.getPrimaryKey()).to.equal(3);
+			done();
+		});
+	});
+
+	it('should detect the conflict on the upsertConflictTarget constraint', (done) => {
+		const connector = createConnector(schema);
+		const Model = createModel('users', { primarykey: 'id', upsertConflictTarget: 'users_email_key' });
+		connector.upsert(Model, undefined, { email: 'jane@example.com', name: 'Jane' }, (err) => {
+			expect(err).to.equal(null);
+			expect(connector._query.lastCall.args[0]).to.equal('INSERT INTO users (email,name) VALUES ($1,$2)'
+				+ ' ON CONFLICT (email) DO UPDATE SET name = EXCLUDED.name RETURNING *');
+			expect(connector._query.lastCall.args[1]).to.deep.equal([ 'jane@example.com', 'Jane' ]);
+			done();
+		});
+	});
+
+	it('should not change the primary key of an existing row', (done) => {
+		const connector = createConnector(schema);
+		const Model = createModel('users', { primarykey: 'id', upsertConflictTarget: 'users_email_key' });
+		connector.upsert(Model, 3, { email: 'jane@example.com' }, (err) => {
+			expect(err).to.equal(null);
+			expect(connector._query.lastCall.args[0]).to.equal('INSERT INTO users (id,email) VALUES ($1,$2)'
+				+ ' ON CONFLICT (email) DO UPDATE SET email = EXCLUDED.email RETURNING *');
+			done();
+		});
+	});
+
+	it('should fail for an unknown upsertConflictTarget', (done) => {
+		const connector = createConnector(schema);
+		const Model = createModel('users', { primarykey: 'id', upsertConflictTarget: 'users_name_key' });
+		connector.upsert(Model, 3, { name: 'Jane' }, (err) => {
+			expect(err).to.be.instanceOf(ORMError);
+			expect(err.message).to.equal('Can\'t find unique constraint users_name_key for users');
+			expect(connector._query.callCount).to.equal(0);
+			done();
+		});
+	});
+
+	it('should fail without values for the upsertConflictTarget constraint', (done) => {
+		const connector = createConnector(schema);
+		const Model = createModel('users', { primarykey: 'id', upsertConflictTarget: 'users_email_key' });
+		connector.upsert(Model, undefined, {}, (err) => {
+			expect(err).to.be.instanceOf(ORMError);
+			expect(err.message).to.equal('Missing values to upsert into users');
+			expect(connector._query.callCount).to.equal(0);
+			done();
+		});
+	});
+});
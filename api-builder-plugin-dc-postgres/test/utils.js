@@ -0,0 +1,73 @@
+const fs = require('fs');
+const path = require('path');
+const simple = require('simple-mock');
+const mock = require('mock-require');
+
+// The runtime is a peer dependency, models and errors of the connector are
+// faked with the parts that the connector uses.
+class ORMError extends Error {}
+mock('@axway/api-builder-runtime', {
+	Version: '4.50.0',
+	ORMError,
+	Model: {
+		extend: (name, info) => Object.assign({ name }, info)
+	}
+});
+
+/**
+ * Creates a connector with the functions of the lib directories and the
+ * given schema, its `_query` calls back with the given result.
+ * @param {object} schema - schema as created by fetchSchema
+ * @param {object} [result] - result of the queries
+ * @returns {object} connector
+ */
+function createConnector(schema, result = { rowCount: 1, rows: [ {} ] }) {
+	const connector = {
+		name: 'postgres',
+		config: {},
+		schema,
+		metadata: { schema }
+	};
+	[ 'methods', 'schema', 'utility' ].forEach((dir) => {
+		const folder = path.join(__dirname, '..', 'lib', dir);
+		fs.readdirSync(folder).forEach((file) => {
+			Object.assign(connector, mock.reRequire(path.join(folder, file)));
+		});
+	});
+	connector._query = simple.mock().callFn((query, values, callback, executor) => executor(result));
+	return connector;
+}
+
+/**
+ * Creates a model of a table, its instances have the given values as payload.
+ * @param {string} table - table name
+ * @param {object} [metadata] - model metadata
+ * @param {object} [fields] - model fields
+ * @returns {object} model
+ */
+function createModel(table, metadata = {}, fields = {}) {
+	return {
+		name: `postgres/${table}`,
+		fields,
+		metadata,
+		getMeta: (key) => metadata[key],
+		translateKeysForPayload: (values) => values,
+		instance: (values) => {
+			let id;
+			return {
+				values,
+				toPayload: () => Object.assign({}, values),
+				setPrimaryKey: (value) => {
+					id = value;
+				},
+				getPrimaryKey: () => id
+			};
+		}
+	};
+}
+
+module.exports = {
+	ORMError,
+	createConnector,
+	createModel
+};
@@ -42,7 +42,53 @@ module.exports = {
 			},
 			producerConfiguration: {
 				transactionTimeout: 60000, // The amount of time in milliseconds to wait for all acks before considered
-			}			
+			},
+			// Set a transactionalId to enable the Publish Transaction method. It must be unique
+			// per API Builder instance, e.g. transactionalId: process.env.KAFKA_TRANSACTIONAL_ID
+			transactionalId: undefined,
+			// The dead-letter topic of a source topic used by Publish To Dead Letter, {topic} is replaced with the source topic
+			deadLetterTopicPattern: '{topic}.dlq',
+			// Buffer the messages of publish per topic and send them together in one request.
+			// A batch is sent when it has maxMessages messages or lingerMs after its first message.
+			batching: {
+				enabled: false,
+				maxMessages: 100,
+				lingerMs: 5
+			},
+			// Only GZIP compression is built in. Register codecs for Snappy, LZ4 or ZSTD, e.g.
+			// compressionCodecs: {
+			// 	Snappy: require('kafkajs-snappy'),
+			// 	LZ4: new (require('kafkajs-lz4'))().codec,
+			// 	ZSTD: require('@kafkajs/zstd')()
+			// },
+			// Encodes objects and other values that are not a string or Buffer, defaults to JSON
+			// valueEncoder: (value) => JSON.stringify(value),
+			// Set a schema registry to encode messages with Avro, JSON Schema or Protobuf schemas
+			// schemaRegistry: {
+			// 	host: 'http://localhost:8081', // The URL of the Confluent-compatible Schema Registry
+			// 	auth: { // Basic authentication
+			// 		username: 'my-username',
+			// 		password: 'my-password'
+			// 	}
+			// },
+			// Use an in-memory broker instead of the brokers above to test flows offline,
+			// e.g. mockBroker: process.env.NODE_ENV === 'test' ? { partitions: 1 } : false
+			mockBroker: false,
+			registerHooks: true, // When true the producer and consumers are disconnected when API Builder stops
+			// Consumers invoking a flow for each message of the subscribed topics.
+			// The offset of a message is committed once the flow completed successfully.
+			consumers: [
+				// {
+				// 	groupId: 'my-group', // The consumer group to join
+				// 	topics: ['my-topic'], // The topics to subscribe to
+				// 	flow: 'ProcessMessage', // The flow invoked with { topic, partition, offset, key, value, headers, timestamp }
+				// 	fromBeginning: false, // Start with the earliest offset if the group has no committed offset
+				// 	concurrency: 1, // The number of partitions consumed concurrently
+				// 	retryDelay: 5000, // in ms, the partition is paused for this time when the flow fails
+				// 	parseJson: false, // Parse the message value as JSON
+				// 	consumerConfiguration: {} // Additional kafkajs consumer options, e.g. sessionTimeout
+				// }
+			]
 		}
 	}
 };
\ No newline at end of file
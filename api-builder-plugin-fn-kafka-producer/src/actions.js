@@ -1,31 +1,124 @@
-const { Kafka } = require('kafkajs')
+const { CompressionTypes, CompressionCodecs, ConfigResourceTypes } = require('kafkajs');
+const { TransactionAbortError } = require('./producer');
+const { SchemaValidationError } = require('./serializer');
 
-// This just sets the configuration. The connection is created when you create a producer during the "publish" action
-async function ensurekafkaProducer(action, pluginConfig) {
-	if (!action.kafkaProducer) {
-		const kafka = new Kafka(pluginConfig.clientConfiguration);
-		action.kafkaProducer = kafka.producer();
-	}
-}
+// The fields of a message object
+const MESSAGE_FIELDS = [ 'key', 'value', 'headers', 'partition', 'timestamp' ];
 
-function buildMessage(value, key, partition) {
-	let message = {};
+/**
+ * Builds a kafkajs message. A message object, see `isMessageObject`,
+ * carries its own key, partition, headers and timestamp which take
+ * precedence over the ones configured for all messages.
+ *
+ * @param {*} message - The message value or message object.
+ * @param {object} defaults - The key, partition, headers and timestamp for
+ *	all messages.
+ * @param {function} encodeValue - Encodes the message value.
+ * @return {object} The kafkajs message.
+ */
+function buildMessage(message, defaults, encodeValue) {
+	const fields = isMessageObject(message) ? message : { value: message };
+	const key = fields.key != null ? fields.key : defaults.key;
+	const partition = fields.partition != null ? fields.partition : defaults.partition;
+	const timestamp = fields.timestamp != null ? fields.timestamp : defaults.timestamp;
+	const headers = Object.assign({}, defaults.headers, fields.headers);
+	let result = {};
 	
-	message.value = value;
+	result.value = encodeValue(fields.value);
 	
 	if (key != null) {
-		message.key = key;
+		result.key = key;
 	}
 
 	if (partition != null) {
-		message.partition = partition;
+		result.partition = partition;
+	}
+
+	if (Object.keys(headers).length) {
+		result.headers = headers;
+	}
+
+	if (timestamp != null) {
+		result.timestamp = toTimestamp(timestamp);
 	}
 	
-	return message;
+	return result;
+}
+
+/**
+ * Checks if a message is a message object: an object with a `value` and no
+ * fields other than `key`, `value`, `headers`, `partition` and `timestamp`.
+ * Other objects, e.g. `{ value: 42, unit: 'C' }`, are the message value.
+ *
+ * @param {*} message - The message value or message object.
+ * @return {boolean} true for a message object.
+ */
+function isMessageObject(message) {
+	return message !== null && typeof message === 'object'
+		&& !Array.isArray(message) && !Buffer.isBuffer(message) && 'value' in message
+		&& Object.keys(message).every((field) => MESSAGE_FIELDS.includes(field));
+}
+
+/**
+ * Creates the function encoding message values. Strings, Buffers and null
+ * are sent as they are, all other values, e.g. objects, are encoded with the
+ * `valueEncoder` from the plugin configuration which defaults to JSON.
+ *
+ * @param {object} pluginConfig - The plugin configuration.
+ * @return {function} The value encoder.
+ */
+function createValueEncoder(pluginConfig) {
+	const encoder = pluginConfig.valueEncoder || JSON.stringify;
+	return (value) => {
+		if (value == null || typeof value === 'string' || Buffer.isBuffer(value)) {
+			return value;
+		}
+		return encoder(value);
+	};
 }
 
+/**
+ * Resolves the kafkajs compression type. GZIP is always available, the
+ * other codecs must be registered with `compressionCodecs` in the plugin
+ * configuration.
+ *
+ * @param {string} compression - None, GZIP, Snappy, LZ4 or ZSTD.
+ * @return {number} The kafkajs compression type.
+ */
+function toCompressionType(compression) {
+	if (!compression) {
+		return CompressionTypes.None;
+	}
+	const type = CompressionTypes[compression];
+	if (type === undefined) {
+		throw new Error(`Unsupported compression: ${compression}`);
+	}
+	if (type !== CompressionTypes.None) {
+		try {
+			// kafkajs registers codecs that throw for Snappy, LZ4 and ZSTD
+			CompressionCodecs[type]();
+		} catch (ex) {
+			throw new Error(`Compression codec ${compression} is not registered. Add it to compressionCodecs in the plugin configuration`);
+		}
+	}
+	return type;
+}
+
+// Values encoded with a schema are passed to the serializer as they are
+const rawValue = (value) => value;
+
+// kafkajs expects the timestamp as string of milliseconds since epoch
+function toTimestamp(timestamp) {
+	const time = typeof timestamp === 'number' || /^\d+$/.test(timestamp)
+		? Number(timestamp)
+		: Date.parse(timestamp);
+	if (Number.isNaN(time)) {
+		throw new Error(`Invalid timestamp: ${timestamp}`);
+	}
+	return String(time);
+}
 
-function buildPayloads(params) {
+function buildPayloads(params, encodeValue) {
 	let payloads;
 	
 	// If we have messageObjects, then we want to ignore all other parameters since they'll be set here already
@@ -36,8 +129,12 @@ function buildPayloads(params) {
 		// Create payloads from configured parameters
 		const topic = params.topic;
 		const supplied_messages = params.messages;
-		const key = params.key;
-		const partition = params.partition;
+		const defaults = {
+			key: params.key,
+			partition: params.partition,
+			headers: params.headers,
+			timestamp: params.timestamp
+		};
 	
 		// These two become required if messageObjects is absent
 		if (!supplied_messages) {
@@ -48,17 +145,9 @@ function buildPayloads(params) {
 			throw new Error('Missing required parameter: topic');
 		}
 		
-		let messages = new Array();
-		// If one message was sent, then make sure we don't treat it like an array of characters
-		if (typeof supplied_messages == "string") {
-			var message = buildMessage(supplied_messages, key, partition);
-			messages.push(message);
-		} else {
-			for (let message_value in supplied_messages) {
-				var message = buildMessage(message_value, key, partition);
-				messages.push(message);
-			}
-		}
+		// A single message, e.g. a string or object, is sent as one message
+		const values = Array.isArray(supplied_messages) ? supplied_messages : [ supplied_messages ];
+		let messages = values.map((message) => buildMessage(message, defaults, encodeValue));
 
 		payloads = {topic: topic, messages: messages};
 	}
@@ -83,25 +172,312 @@ function buildPayloads(params) {
  *	 https://docs.axway.com/bundle/API_Builder_4x_allOS_en/page/logging.html
  * @param {*} [options.pluginContext] - The data provided by calling
  *	 `sdk.setContext(pluginContext)` in `getPlugin` in `index.js`.
- * @return {undefined}
+ * @return {object[]} The kafkajs record metadata of the partitions the
+ *	 messages were sent to.
  */
-async function publish(params, {logger, pluginConfig}) {
-	let payloads = buildPayloads(params);
-	
-	// Ensure we have a kafka connection
-	await ensurekafkaProducer(this, pluginConfig);
+async function publish(params, { pluginConfig, pluginContext, setOutput }) {
+	// Message objects are sent as they are
+	const useSchema = !params.messageObjects && (params.schemaId != null || params.schemaSubject);
+	let payloads = buildPayloads(params, useSchema ? rawValue : createValueEncoder(pluginConfig));
+
+	if (useSchema) {
+		if (!pluginContext.serializer) {
+			throw new Error('Schema serialization requires schemaRegistry in the plugin configuration');
+		}
+		try {
+			payloads.messages = await pluginContext.serializer.encode(payloads.messages, params);
+		} catch (err) {
+			if (err instanceof SchemaValidationError) {
+				return setOutput('invalid', err);
+			}
+			throw new Error('Error encoding message with schema registry: ' + err);
+		}
+	}
+
+	if (!params.messageObjects) {
+		payloads.compression = toCompressionType(params.compression);
+	}
 
-	let result;
-	
 	try {
-		await this.kafkaProducer.connect(pluginConfig.producerConfiguration);
-		result = await this.kafkaProducer.send(payloads);
-		return result;
+		// The shared producer is connected on startup, or on first use in
+		// developer mode. With batching enabled, messages are sent together
+		// with the messages of other calls.
+		return await (pluginContext.batcher || pluginContext.producer).send(payloads);
 	} catch (err) {
 		throw new Error('Error sending message to Kafka: ' + err);
 	}
 }
 
+/**
+ * Publishes batches of messages to multiple topics atomically. Either all
+ * messages are committed or the transaction is aborted.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {object[]} params.batches - The batches to send, each with `topic`
+ *	 and `messages` and optionally `key`, `partition`, `headers` and
+ *	 `timestamp` as for `publish`.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @param {object} options.pluginConfig - The plugin configuration.
+ * @param {object} options.pluginContext - The shared producers.
+ * @param {function} options.setOutput - Routes to a custom output.
+ * @return {*} The kafkajs record metadata.
+ */
+async function publishTransaction(params, { pluginConfig, pluginContext, setOutput }) {
+	if (!pluginContext.transactionalProducer) {
+		throw new Error('Transactions require transactionalId in the plugin configuration');
+	}
+	if (!Array.isArray(params.batches) || params.batches.length === 0) {
+		throw new Error('Missing required parameter: batches');
+	}
+	const encodeValue = createValueEncoder(pluginConfig);
+	const topicMessages = params.batches.map((batch) => buildPayloads(batch, encodeValue));
+
+	try {
+		return await pluginContext.transactionalProducer.transaction(topicMessages);
+	} catch (err) {
+		if (err instanceof TransactionAbortError) {
+			// The state of the transaction is unknown
+			return setOutput('abortFailed', err);
+		}
+		throw new Error('Error sending transaction to Kafka, the transaction was aborted: ' + err);
+	}
+}
+
+/**
+ * Forwards a message that failed processing to its dead-letter topic. The
+ * message is wrapped in an envelope with the original payload, its source
+ * and the error. Error message, source topic, attempt count and timestamp
+ * are also added as headers.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {object} params.message - The original message, e.g. as passed to
+ *	 consumer flows `{ topic, partition, offset, key, value, headers, timestamp }`.
+ * @param {*} params.error - The error message or error object.
+ * @param {number} [params.attempts=1] - The number of processing attempts.
+ * @param {string} [params.sourceTopic] - The source topic, defaults to the
+ *	 topic of the message.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {*} The kafkajs record metadata.
+ */
+async function publishToDeadLetter(params, { pluginConfig, pluginContext }) {
+	const { message, error, attempts = 1 } = params;
+	if (!message || typeof message !== 'object') {
+		throw new Error('Missing required parameter: message');
+	}
+	if (error == null) {
+		throw new Error('Missing required parameter: error');
+	}
+	const sourceTopic = params.sourceTopic || message.topic;
+	if (!sourceTopic) {
+		throw new Error('Missing required parameter: sourceTopic');
+	}
+	const errorMessage = typeof error === 'object' ? error.message || JSON.stringify(error) : String(error);
+	const failedAt = new Date().toISOString();
+	const topic = (pluginConfig.deadLetterTopicPattern || '{topic}.dlq').replace(/\{topic\}/g, sourceTopic);
+	const envelope = {
+		payload: message.value,
+		key: message.key != null ? message.key : null,
+		headers: message.headers || {},
+		source: {
+			topic: sourceTopic,
+			partition: message.partition != null ? message.partition : null,
+			offset: message.offset != null ? message.offset : null,
+			timestamp: message.timestamp != null ? message.timestamp : null
+		},
+		error: {
+			message: errorMessage
+		},
+		attempts,
+		failedAt
+	};
+	const deadLetter = {
+		value: createValueEncoder(pluginConfig)(envelope),
+		headers: {
+			'dlq-error-message': errorMessage,
+			'dlq-source-topic': sourceTopic,
+			'dlq-attempt-count': String(attempts),
+			'dlq-timestamp': failedAt
+		}
+	};
+	// Keep the key so dead letters of the same key stay in order
+	if (message.key != null) {
+		deadLetter.key = message.key;
+	}
+
+	try {
+		return await pluginContext.producer.send({ topic, messages: [ deadLetter ] });
+	} catch (err) {
+		throw new Error('Error sending message to dead-letter topic: ' + err);
+	}
+}
+
+function validateTopic(topic) {
+	if (!topic) {
+		throw new Error('Missing required parameter: topic');
+	}
+}
+
+// Checks upfront, kafkajs retries requests for unknown topics
+async function topicExists(admin, topic) {
+	const topics = await admin.listTopics();
+	return topics.includes(topic);
+}
+
+/**
+ * Lists the names of all topics.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {string[]} The topic names.
+ */
+async function listTopics(params, { pluginContext }) {
+	const admin = await pluginContext.admin.get();
+	return admin.listTopics();
+}
+
+/**
+ * Creates a topic. Partitions and replication factor default to the broker
+ * configuration.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.topic - The topic to create.
+ * @param {number} [params.partitions] - The number of partitions.
+ * @param {number} [params.replicationFactor] - The replication factor.
+ * @param {object} [params.configs] - The topic configuration, e.g.
+ *	 `{ "cleanup.policy": "compact" }`.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {string} The created topic.
+ */
+async function createTopic(params, { pluginContext, setOutput }) {
+	const { topic, partitions, replicationFactor, configs = {} } = params;
+	validateTopic(topic);
+	const admin = await pluginContext.admin.get();
+	const created = await admin.createTopics({
+		topics: [ {
+			topic,
+			numPartitions: partitions,
+			replicationFactor,
+			configEntries: Object.keys(configs).map((name) => ({ name, value: String(configs[name]) }))
+		} ]
+	});
+	if (!created) {
+		return setOutput('alreadyExists', topic);
+	}
+	return topic;
+}
+
+/**
+ * Deletes a topic. Requires `delete.topic.enable` on the brokers.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.topic - The topic to delete.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {string} The deleted topic.
+ */
+async function deleteTopic(params, { pluginContext, setOutput }) {
+	const { topic } = params;
+	validateTopic(topic);
+	const admin = await pluginContext.admin.get();
+	if (!await topicExists(admin, topic)) {
+		return setOutput('notFound', topic);
+	}
+	await admin.deleteTopics({ topics: [ topic ] });
+	return topic;
+}
+
+/**
+ * Describes a topic with its partitions and configuration.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.topic - The topic to describe.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {object} `{ name, partitions, configs }`
+ */
+async function describeTopic(params, { pluginContext, setOutput }) {
+	const { topic } = params;
+	validateTopic(topic);
+	const admin = await pluginContext.admin.get();
+	if (!await topicExists(admin, topic)) {
+		return setOutput('notFound', topic);
+	}
+	const metadata = await admin.fetchTopicMetadata({ topics: [ topic ] });
+	const { resources } = await admin.describeConfigs({
+		resources: [ { type: ConfigResourceTypes.TOPIC, name: topic } ],
+		includeSynonyms: false
+	});
+	const configs = {};
+	resources[0].configEntries.forEach(({ configName, configValue }) => {
+		configs[configName] = configValue;
+	});
+	return {
+		name: topic,
+		partitions: metadata.topics[0].partitions,
+		configs
+	};
+}
+
+/**
+ * Fetches the low and high offsets of all partitions of a topic.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.topic - The topic.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {object[]} `[{ partition, offset, high, low }]`
+ */
+async function fetchTopicOffsets(params, { pluginContext, setOutput }) {
+	const { topic } = params;
+	validateTopic(topic);
+	const admin = await pluginContext.admin.get();
+	if (!await topicExists(admin, topic)) {
+		return setOutput('notFound', topic);
+	}
+	return admin.fetchTopicOffsets(topic);
+}
+
+/**
+ * Fetches the committed offsets of a consumer group for all partitions of
+ * a topic.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.groupId - The consumer group.
+ * @param {string} params.topic - The topic.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {object[]} `[{ partition, offset, metadata }]`
+ */
+async function fetchGroupOffsets(params, { pluginContext, setOutput }) {
+	const { groupId, topic } = params;
+	if (!groupId) {
+		throw new Error('Missing required parameter: groupId');
+	}
+	validateTopic(topic);
+	const admin = await pluginContext.admin.get();
+	if (!await topicExists(admin, topic)) {
+		return setOutput('notFound', topic);
+	}
+	const { groups } = await admin.describeGroups([ groupId ]);
+	// Groups that are unknown to the coordinator are described as dead
+	if (groups[0].state === 'Dead') {
+		return setOutput('notFound', groupId);
+	}
+	return admin.fetchOffsets({ groupId, topic });
+}
+
 module.exports = {
-	publish
+	publish,
+	publishTransaction,
+	publishToDeadLetter,
+	listTopics,
+	createTopic,
+	deleteTopic,
+	describeTopic,
+	fetchTopicOffsets,
+	fetchGroupOffsets
 };
@@ -0,0 +1,43 @@
+/**
+ * Creates the admin client shared by the admin actions. Administration is
+ * not needed to publish, so the client is connected on first use.
+ *
+ * @param {object} kafka - The kafkajs client.
+ * @return {object} `{ get, disconnect }`
+ */
+function createAdmin(kafka) {
+	const admin = kafka.admin();
+	let connecting = null;
+
+	return {
+		/**
+		 * Returns the connected kafkajs admin client.
+		 */
+		get: async () => {
+			if (!connecting) {
+				connecting = admin.connect().catch((ex) => {
+					// Try again on next use
+					connecting = null;
+					throw ex;
+				});
+			}
+			await connecting;
+			return admin;
+		},
+		disconnect: async () => {
+			if (!connecting) {
+				return;
+			}
+			const connected = connecting;
+			connecting = null;
+			try {
+				await connected;
+			} catch (ex) {
+				return;
+			}
+			await admin.disconnect();
+		}
+	};
+}
+
+module.exports = createAdmin;
@@ -0,0 +1,100 @@
+/**
+ * Creates the in-process batcher buffering the messages of `publish` per
+ * topic and compression. A batch is sent once it reached `maxMessages`
+ * messages or `lingerMs` milliseconds after its first message, whatever
+ * happens first.
+ *
+ * Each send resolves with the record metadata of its own messages, i.e. per
+ * partition the offset of its first message as `baseOffset`, the same as
+ * when sending without batching. Without metadata of a partition, e.g. with
+ * `acks` 0, the `baseOffset` is null.
+ *
+ * @param {object} producer - The shared producer, see `createProducer`.
+ * @param {object} batching - The batching configuration.
+ * @param {number} [batching.maxMessages=100] - The number of messages that
+ *	 triggers sending the batch.
+ * @param {number} [batching.lingerMs=5] - The time in milliseconds messages
+ *	 wait for further messages.
+ * @return {object} `{ send, flush }`
+ */
+function createBatcher(producer, { maxMessages = 100, lingerMs = 5 } = {}) {
+	const batches = new Map();
+
+	function flushBatch(id) {
+		const batch = batches.get(id);
+		batches.delete(id);
+		clearTimeout(batch.timer);
+		const messages = [].concat(...batch.requests.map((request) => request.messages));
+		return producer.sendBatch({
+			compression: batch.compression,
+			topicMessages: [ { topic: batch.topic, messages } ]
+		}).then((metadata) => {
+			const offsetOf = createOffsetResolver(producer, messages, metadata);
+			return batch.requests.map((request) => toRecordMetadata(batch.topic, request.messages, metadata, producer, offsetOf));
+		}).then((results) => {
+			batch.requests.forEach((request, i) => request.resolve(results[i]));
+		}, (ex) => {
+			batch.requests.forEach((request) => request.reject(ex));
+		});
+	}
+
+	return {
+		/**
+		 * Adds the messages of the payload to the batch of its topic.
+		 *
+		 * @param {object} payload - `{ topic, messages, compression }`
+		 * @return {Promise<object[]>} The record metadata of the messages.
+		 */
+		send: ({ topic, messages, compression }) => new Promise((resolve, reject) => {
+			const id = `${topic}:${compression || 0}`;
+			let batch = batches.get(id);
+			if (!batch) {
+				batch = { topic, compression, requests: [], size: 0 };
+				batch.timer = setTimeout(() => flushBatch(id), lingerMs);
+				batches.set(id, batch);
+			}
+			batch.requests.push({ messages, resolve, reject });
+			batch.size += messages.length;
+			if (batch.size >= maxMessages) {
+				flushBatch(id);
+			}
+		}),
+		/**
+		 * Sends all buffered messages, e.g. before disconnecting.
+		 */
+		flush: () => Promise.all(Array.from(batches.keys()).map(flushBatch))
+	};
+}
+
+// Messages are appended to a partition in the order they were sent. The
+// offset is null for partitions without metadata.
+function createOffsetResolver(producer, messages, metadata) {
+	const offsets = new Map();
+	const counts = {};
+	messages.forEach((message) => {
+		const partition = producer.partitionOf(message);
+		const entry = (metadata || []).find((entry) => entry.partition === partition);
+		if (!entry || entry.baseOffset == null) {
+			offsets.set(message, null);
+			return;
+		}
+		counts[partition] = counts[partition] || 0;
+		offsets.set(message, (BigInt(entry.baseOffset) + BigInt(counts[partition]++)).toString());
+	});
+	return (message) => offsets.get(message);
+}
+
+function toRecordMetadata(topic, messages, metadata, producer, offsetOf) {
+	const result = [];
+	messages.forEach((message) => {
+		const partition = producer.partitionOf(message);
+		if (!result.some((entry) => entry.partition === partition)) {
+			const entry = (metadata || []).find((entry) => entry.partition === partition)
+				|| { topicName: topic, partition };
+			result.push(Object.assign({}, entry, { baseOffset: offsetOf(message) }));
+		}
+	});
+	return result;
+}
+
+module.exports = createBatcher;
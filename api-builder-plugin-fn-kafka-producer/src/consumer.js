@@ -0,0 +1,127 @@
+const { getRuntime } = require('./utils');
+
+/**
+ * Creates the consumers configured in `pluginConfig.consumers`. Each consumer
+ * joins the consumer group `groupId`, subscribes to `topics` and invokes
+ * `flow` for each message with
+ * `{ topic, partition, offset, key, value, headers, timestamp }`.
+ *
+ * The offset of a message is committed only after the flow completed
+ * successfully. If the flow fails, the partition is paused and the message
+ * is consumed again after `retryDelay` milliseconds.
+ *
+ * @param {object} kafka - The kafkajs client.
+ * @param {object} pluginConfig - The plugin configuration.
+ * @param {object} logger - The API Builder logger.
+ * @return {object} `{ start, stop }` to start and gracefully stop all consumers.
+ */
+function createConsumers(kafka, pluginConfig, logger) {
+	const configs = pluginConfig.consumers || [];
+	configs.forEach(validateConsumerConfig);
+	const consumers = configs.map((config) => createConsumer(kafka, config, logger));
+	return {
+		start: () => Promise.all(consumers.map((consumer) => consumer.start())),
+		stop: () => Promise.all(consumers.map((consumer) => consumer.stop()))
+	};
+}
+
+function validateConsumerConfig(config) {
+	if (!config.groupId) {
+		throw new Error('Missing required consumer option: groupId');
+	}
+	if (!Array.isArray(config.topics) || config.topics.length === 0) {
+		throw new Error(`Consumer group: ${config.groupId} must define a non-empty list of topics`);
+	}
+	if (!config.flow) {
+		throw new Error(`Consumer group: ${config.groupId} must define a flow`);
+	}
+}
+
+function createConsumer(kafka, config, logger) {
+	const {
+		groupId,
+		topics,
+		flow,
+		fromBeginning = false,
+		concurrency = 1,
+		retryDelay = 5000,
+		parseJson = false,
+		consumerConfiguration = {}
+	} = config;
+	const consumer = kafka.consumer(Object.assign({}, consumerConfiguration, { groupId }));
+	const resumeTimers = new Set();
+
+	async function handleMessage({ topic, partition, message }) {
+		const input = {
+			topic,
+			partition,
+			offset: message.offset,
+			key: message.key ? message.key.toString() : null,
+			value: message.value ? message.value.toString() : null,
+			headers: toStringHeaders(message.headers),
+			timestamp: message.timestamp
+		};
+		if (parseJson && input.value !== null) {
+			try {
+				input.value = JSON.parse(input.value);
+			} catch (ex) {
+				logger.warn(`Message ${topic}[${partition}]@${message.offset} is not valid JSON and passed as string: ${ex.message}`);
+			}
+		}
+		try {
+			const server = getRuntime();
+			if (!server.getFlow(flow)) {
+				throw new Error(`The flow with name: '${flow}' could not be found.`);
+			}
+			await server.flowManager.flow(flow, input, { logger });
+		} catch (ex) {
+			logger.error(`Flow: ${flow} failed for message ${topic}[${partition}]@${message.offset}, retrying in ${retryDelay} ms: ${ex.message}`);
+			// Consume the message again once the partition is resumed
+			consumer.pause([ { topic, partitions: [ partition ] } ]);
+			consumer.seek({ topic, partition, offset: message.offset });
+			const timer = setTimeout(() => {
+				resumeTimers.delete(timer);
+				consumer.resume([ { topic, partitions: [ partition ] } ]);
+			}, retryDelay);
+			resumeTimers.add(timer);
+			return;
+		}
+		await consumer.commitOffsets([ {
+			topic,
+			partition,
+			offset: (BigInt(message.offset) + 1n).toString()
+		} ]);
+	}
+
+	return {
+		start: async () => {
+			await consumer.connect();
+			for (const topic of topics) {
+				await consumer.subscribe({ topic, fromBeginning });
+			}
+			await consumer.run({
+				autoCommit: false,
+				partitionsConsumedConcurrently: concurrency,
+				eachMessage: handleMessage
+			});
+			logger.info(`Consumer group: ${groupId} started consuming topics: ${topics.join(', ')}`);
+		},
+		stop: async () => {
+			resumeTimers.forEach(clearTimeout);
+			resumeTimers.clear();
+			await consumer.disconnect();
+			logger.info(`Consumer group: ${groupId} disconnected`);
+		}
+	};
+}
+
+function toStringHeaders(headers) {
+	const result = {};
+	Object.keys(headers || {}).forEach((name) => {
+		const value = headers[name];
+		result[name] = Buffer.isBuffer(value) ? value.toString() : value;
+	});
+	return result;
+}
+
+module.exports = createConsumers;
@@ -1,6 +1,14 @@
 const path = require('path');
 const { SDK } = require('@axway/api-builder-sdk');
+const { Kafka, CompressionTypes, CompressionCodecs } = require('kafkajs');
 const actions = require('./actions');
+const createProducer = require('./producer');
+const createConsumers = require('./consumer');
+const createSerializer = require('./serializer');
+const createBatcher = require('./batcher');
+const createAdmin = require('./admin');
+const { getMockBroker } = require('./mock-broker');
+const { registerRuntimeHooks, isDeveloperMode } = require('./utils');
 
 /**
  * Resolves the API Builder plugin.
@@ -13,7 +21,76 @@ const actions = require('./actions');
  * @returns {object} An API Builder plugin.
  */
 async function getPlugin(pluginConfig, options) {
+	const { logger } = options;
+	// The mock broker keeps all messages in memory to test flows offline
+	const kafka = pluginConfig.mockBroker
+		? getMockBroker(typeof pluginConfig.mockBroker === 'object' ? pluginConfig.mockBroker : {}, logger)
+		: new Kafka(pluginConfig.clientConfiguration);
+	// Only GZIP is built into kafkajs, e.g. { Snappy: require('kafkajs-snappy') }
+	Object.keys(pluginConfig.compressionCodecs || {}).forEach((name) => {
+		if (CompressionTypes[name] === undefined) {
+			throw new Error(`Unsupported compression codec: ${name}`);
+		}
+		CompressionCodecs[CompressionTypes[name]] = pluginConfig.compressionCodecs[name];
+	});
+	const producer = createProducer(kafka, pluginConfig.producerConfiguration, logger);
+	let transactionalProducer;
+	if (pluginConfig.transactionalId) {
+		// Transactions require an idempotent producer with a single in-flight request
+		transactionalProducer = createProducer(kafka, Object.assign({}, pluginConfig.producerConfiguration, {
+			transactionalId: pluginConfig.transactionalId,
+			idempotent: true,
+			maxInFlightRequests: 1
+		}), logger);
+	}
+	try {
+		// In production we should be able to connect on startup
+		// in development mode we defer this until the first publish
+		await producer.connect();
+		if (transactionalProducer) {
+			await transactionalProducer.connect();
+		}
+	} catch (ex) {
+		logger.error(`Failed to connect to Kafka brokers: ${(pluginConfig.clientConfiguration.brokers || []).join(', ')}. Make sure Kafka is running and conf/kafka-producer.default.js is configured`);
+		if (!isDeveloperMode()) {
+			throw ex;
+		}
+	}
+
+	let batcher;
+	if (pluginConfig.batching && pluginConfig.batching.enabled) {
+		batcher = createBatcher(producer, pluginConfig.batching);
+	}
+
+	const admin = createAdmin(kafka);
+
+	let consumers;
+	if (pluginConfig.consumers && pluginConfig.consumers.length) {
+		consumers = createConsumers(kafka, pluginConfig, logger);
+	}
+	if (pluginConfig.registerHooks !== false) {
+		registerRuntimeHooks({
+			// Flows are available once API Builder has started
+			started: () => consumers && consumers.start().catch((ex) => {
+				logger.error(`Failed to start Kafka consumers: ${ex.message}`);
+			}),
+			stopping: () => Promise.all([
+				// Send buffered messages before disconnecting
+				(batcher ? batcher.flush() : Promise.resolve()).then(() => producer.disconnect()),
+				transactionalProducer && transactionalProducer.disconnect(),
+				admin.disconnect(),
+				consumers && consumers.stop()
+			])
+		});
+	}
+
+	let serializer;
+	if (pluginConfig.schemaRegistry) {
+		serializer = createSerializer(pluginConfig.schemaRegistry);
+	}
+
 	const sdk = new SDK({ pluginConfig });
+	sdk.setContext({ producer, transactionalProducer, serializer, batcher, admin });
 	sdk.load(path.resolve(__dirname, 'flow-nodes.yml'), actions);
 	return sdk.getPlugin();
 }
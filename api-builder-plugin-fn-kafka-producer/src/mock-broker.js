@@ -0,0 +1,444 @@
+const EventEmitter = require('events');
+const { Partitioners, KafkaJSProtocolError } = require('kafkajs');
+
+/**
+ * An in-memory stand-in for a Kafka cluster to test flows offline. It
+ * provides the parts of the kafkajs client used by this plugin: producers
+ * with transactions, consumers and the admin client.
+ *
+ * Sent messages are recorded per topic and partition and can be inspected
+ * with `messages`. Messages sent with `produce` or by the plugin are
+ * delivered to running consumers, so flows triggered by consumers can be
+ * tested as well. Topics are created on first use.
+ */
+class MockBroker {
+	/**
+	 * @param {object} [options] - The broker options.
+	 * @param {number} [options.partitions=1] - The number of partitions of
+	 *	 topics created on first use.
+	 */
+	constructor(options) {
+		this.topics = new Map();
+		this.groups = new Map();
+		this.consumers = new Set();
+		this.configure(options);
+	}
+
+	/**
+	 * Applies the broker options, see the constructor.
+	 *
+	 * @param {object} [options] - The broker options.
+	 */
+	configure({ partitions = 1 } = {}) {
+		this.options = { partitions };
+		this.defaultPartitions = partitions;
+	}
+
+	/**
+	 * Returns the committed messages of a topic, optionally of a single
+	 * partition, in the order they were appended.
+	 *
+	 * @param {string} topic - The topic.
+	 * @param {number} [partition] - The partition.
+	 * @return {object[]} `[{ partition, offset, key, value, headers, timestamp }]`
+	 */
+	messages(topic, partition) {
+		const state = this.topics.get(topic);
+		if (!state) {
+			return [];
+		}
+		return state.partitions
+			.filter((log, index) => partition === undefined || index === partition)
+			.reduce((result, log) => result.concat(log.filter((entry) => entry.state === 'committed')), [])
+			.map(({ partition, offset, key, value, headers, timestamp }) => ({ partition, offset, key, value, headers, timestamp }));
+	}
+
+	/**
+	 * Appends messages to a topic, e.g. to trigger consumer flows.
+	 *
+	 * @param {string} topic - The topic.
+	 * @param {object[]} messages - The messages `{ key, value, headers, partition }`.
+	 * @return {object[]} The record metadata.
+	 */
+	produce(topic, messages) {
+		const partitioner = Partitioners.DefaultPartitioner();
+		return this.append([ { topic, messages } ], partitioner, 'committed').metadata;
+	}
+
+	/**
+	 * Removes all topics, consumer group offsets and messages.
+	 *
+	 * @param {object} [options] - The broker options to apply for the topics
+	 *	 created afterwards, see the constructor.
+	 */
+	clear(options) {
+		this.topics.clear();
+		this.groups.clear();
+		if (options) {
+			this.configure(options);
+		}
+	}
+
+	createTopic(topic, numPartitions = this.defaultPartitions, configs = {}) {
+		const state = {
+			partitions: Array.from({ length: numPartitions }, () => []),
+			configs
+		};
+		this.topics.set(topic, state);
+		return state;
+	}
+
+	getTopic(topic) {
+		return this.topics.get(topic) || this.createTopic(topic);
+	}
+
+	append(topicMessages, partitioner, state) {
+		const metadata = [];
+		const entries = [];
+		topicMessages.forEach(({ topic, messages }) => {
+			const { partitions } = this.getTopic(topic);
+			const partitionMetadata = partitions.map((log, partitionId) => ({
+				partitionErrorCode: 0,
+				partitionId,
+				leader: 0,
+				replicas: [ 0 ],
+				isr: [ 0 ]
+			}));
+			// Nothing is appended if one of the messages is invalid
+			const assigned = messages.map((message) => {
+				if (message.value === undefined) {
+					throw new Error(`Invalid message without value for topic "${topic}"`);
+				}
+				const partition = partitioner({ topic, partitionMetadata, message });
+				if (!Number.isInteger(partition) || !partitions[partition]) {
+					throw new KafkaJSProtocolError({
+						message: `This server does not host this topic-partition: ${topic}/${partition}`,
+						type: 'UNKNOWN_TOPIC_OR_PARTITION',
+						code: 3
+					});
+				}
+				return { message, partition };
+			});
+			assigned.forEach(({ message, partition }) => {
+				const log = partitions[partition];
+				const entry = {
+					partition,
+					offset: String(log.length),
+					key: message.key != null ? message.key : null,
+					value: message.value,
+					headers: message.headers || {},
+					timestamp: message.timestamp || String(Date.now()),
+					state
+				};
+				log.push(entry);
+				entries.push(entry);
+				if (!metadata.some((meta) => meta.topicName === topic && meta.partition === partition)) {
+					metadata.push({
+						topicName: topic,
+						partition,
+						errorCode: 0,
+						baseOffset: entry.offset,
+						logAppendTime: '-1',
+						logStartOffset: '0'
+					});
+				}
+			});
+		});
+		this.notifyConsumers();
+		return { metadata, entries };
+	}
+
+	notifyConsumers() {
+		this.consumers.forEach((consumer) => consumer.deliver());
+	}
+
+	/**
+	 * Creates a producer with the kafkajs producer API.
+	 *
+	 * @param {object} [options] - The kafkajs producer options, only
+	 *	 `createPartitioner` is used.
+	 * @return {object} The producer.
+	 */
+	producer(options = {}) {
+		const broker = this;
+		const events = new EventEmitter();
+		const partitioner = (options.createPartitioner || Partitioners.DefaultPartitioner)();
+		let connected = false;
+
+		function ensureConnected() {
+			if (!connected) {
+				throw new Error('The producer is disconnected');
+			}
+		}
+
+		const sendBatch = async ({ topicMessages }) => {
+			ensureConnected();
+			return broker.append(topicMessages, partitioner, 'committed').metadata;
+		};
+
+		return {
+			events: { CONNECT: 'producer.connect', DISCONNECT: 'producer.disconnect' },
+			on: (event, listener) => {
+				events.on(event, listener);
+				return () => events.removeListener(event, listener);
+			},
+			connect: async () => {
+				connected = true;
+				events.emit('producer.connect');
+			},
+			disconnect: async () => {
+				connected = false;
+				events.emit('producer.disconnect');
+			},
+			send: ({ topic, messages }) => sendBatch({ topicMessages: [ { topic, messages } ] }),
+			sendBatch,
+			// Messages of a transaction are only visible once committed
+			transaction: async () => {
+				ensureConnected();
+				const entries = [];
+				const end = (state) => async () => {
+					entries.forEach((entry) => entry.state = state);
+					broker.notifyConsumers();
+				};
+				return {
+					sendBatch: async ({ topicMessages }) => {
+						const result = broker.append(topicMessages, partitioner, 'pending');
+						entries.push(...result.entries);
+						return result.metadata;
+					},
+					commit: end('committed'),
+					abort: end('aborted')
+				};
+			}
+		};
+	}
+
+	/**
+	 * Creates a consumer with the kafkajs consumer API. Messages are
+	 * delivered one at a time, like with `eachMessage` of kafkajs.
+	 *
+	 * @param {object} options - The kafkajs consumer options.
+	 * @param {string} options.groupId - The consumer group.
+	 * @return {object} The consumer.
+	 */
+	consumer({ groupId }) {
+		const broker = this;
+		if (!broker.groups.has(groupId)) {
+			broker.groups.set(groupId, new Map());
+		}
+		const committed = broker.groups.get(groupId);
+		const positions = new Map();
+		const paused = new Set();
+		const subscriptions = [];
+		let eachMessage = null;
+		let delivering = null;
+		let redeliver = false;
+
+		const id = (topic, partition) => `${topic}:${partition}`;
+
+		async function deliverMessages() {
+			for (const { topic, fromBeginning } of subscriptions) {
+				const { partitions } = broker.getTopic(topic);
+				for (const [ partition, log ] of partitions.entries()) {
+					const key = id(topic, partition);
+					if (!positions.has(key)) {
+						positions.set(key, committed.has(key)
+							? Number(committed.get(key))
+							: fromBeginning ? 0 : log.length);
+					}
+					while (eachMessage && !paused.has(key) && positions.get(key) < log.length) {
+						const entry = log[positions.get(key)];
+						if (entry.state === 'pending') {
+							// Like read_committed, wait until the transaction ended
+							break;
+						}
+						positions.set(key, positions.get(key) + 1);
+						if (entry.state === 'aborted') {
+							continue;
+						}
+						try {
+							await eachMessage({ topic, partition, message: toConsumedMessage(entry) });
+						} catch (ex) {
+							// Like kafkajs, consume the message again on next delivery
+							positions.set(key, Number(entry.offset));
+							break;
+						}
+					}
+				}
+			}
+		}
+
+		const consumer = {
+			deliver: () => {
+				if (delivering) {
+					redeliver = true;
+					return delivering;
+				}
+				delivering = deliverMessages().then(() => {
+					delivering = null;
+					if (redeliver) {
+						redeliver = false;
+						return consumer.deliver();
+					}
+				});
+				return delivering;
+			},
+			connect: async () => {
+				broker.consumers.add(consumer);
+			},
+			subscribe: async ({ topic, fromBeginning = false }) => {
+				subscriptions.push({ topic, fromBeginning });
+			},
+			run: async (config) => {
+				eachMessage = config.eachMessage;
+				consumer.deliver();
+			},
+			commitOffsets: async (offsets) => {
+				offsets.forEach(({ topic, partition, offset }) => committed.set(id(topic, partition), offset));
+			},
+			pause: (topicPartitions) => {
+				topicPartitions.forEach(({ topic, partitions }) => partitions.forEach((partition) => paused.add(id(topic, partition))));
+			},
+			resume: (topicPartitions) => {
+				topicPartitions.forEach(({ topic, partitions }) => partitions.forEach((partition) => paused.delete(id(topic, partition))));
+				consumer.deliver();
+			},
+			seek: ({ topic, partition, offset }) => {
+				positions.set(id(topic, partition), Number(offset));
+			},
+			disconnect: async () => {
+				eachMessage = null;
+				broker.consumers.delete(consumer);
+			}
+		};
+		return consumer;
+	}
+
+	/**
+	 * Creates an admin client with the kafkajs admin API.
+	 *
+	 * @return {object} The admin client.
+	 */
+	admin() {
+		const broker = this;
+		const findTopic = (topic) => {
+			const state = broker.topics.get(topic);
+			if (!state) {
+				const error = new Error('This server does not host this topic-partition');
+				error.type = 'UNKNOWN_TOPIC_OR_PARTITION';
+				throw error;
+			}
+			return state;
+		};
+
+		return {
+			connect: async () => {},
+			disconnect: async () => {},
+			listTopics: async () => Array.from(broker.topics.keys()),
+			createTopics: async ({ topics }) => {
+				if (topics.some(({ topic }) => broker.topics.has(topic))) {
+					return false;
+				}
+				topics.forEach(({ topic, numPartitions, configEntries = [] }) => {
+					const configs = {};
+					configEntries.forEach(({ name, value }) => configs[name] = value);
+					broker.createTopic(topic, numPartitions > 0 ? numPartitions : undefined, configs);
+				});
+				return true;
+			},
+			deleteTopics: async ({ topics }) => {
+				topics.forEach((topic) => {
+					findTopic(topic);
+					broker.topics.delete(topic);
+				});
+			},
+			fetchTopicMetadata: async ({ topics = [] } = {}) => ({
+				topics: topics.map((topic) => ({
+					name: topic,
+					partitions: findTopic(topic).partitions.map((log, partitionId) => ({
+						partitionErrorCode: 0,
+						partitionId,
+						leader: 0,
+						replicas: [ 0 ],
+						isr: [ 0 ]
+					}))
+				}))
+			}),
+			describeConfigs: async ({ resources }) => ({
+				resources: resources.map(({ type, name }) => ({
+					resourceType: type,
+					resourceName: name,
+					errorCode: 0,
+					configEntries: Object.entries(findTopic(name).configs)
+						.map(([ configName, configValue ]) => ({ configName, configValue }))
+				}))
+			}),
+			fetchTopicOffsets: async (topic) => findTopic(topic).partitions.map((log, partition) => ({
+				partition,
+				offset: String(log.length),
+				high: String(log.length),
+				low: '0'
+			})),
+			describeGroups: async (groupIds) => ({
+				groups: groupIds.map((groupId) => ({
+					groupId,
+					state: broker.groups.has(groupId) ? 'Stable' : 'Dead'
+				}))
+			}),
+			fetchOffsets: async ({ groupId, topic }) => {
+				const committed = broker.groups.get(groupId) || new Map();
+				return findTopic(topic).partitions.map((log, partition) => ({
+					partition,
+					offset: committed.get(`${topic}:${partition}`) || '-1',
+					metadata: null
+				}));
+			}
+		};
+	}
+}
+
+// kafkajs passes keys, values and headers as Buffers to consumers
+function toConsumedMessage({ offset, key, value, headers, timestamp }) {
+	const toBuffer = (data) => data == null || Buffer.isBuffer(data) ? data : Buffer.from(String(data));
+	const consumedHeaders = {};
+	Object.keys(headers).forEach((name) => consumedHeaders[name] = toBuffer(headers[name]));
+	return {
+		offset,
+		key: toBuffer(key),
+		value: toBuffer(value),
+		headers: consumedHeaders,
+		timestamp
+	};
+}
+
+let instance;
+
+/**
+ * Returns the mock broker used by the plugin when `mockBroker` is
+ * configured, e.g. to assert on sent messages in tests.
+ *
+ * There is one broker per process. Options given once it exists are not
+ * applied, use `clear(options)` to change them.
+ *
+ * @param {object} [options] - The broker options used when it is created,
+ *	 see `MockBroker`.
+ * @param {object} [logger] - Warns if the options differ from the ones of
+ *	 the existing broker.
+ * @return {MockBroker} The mock broker.
+ */
+function getMockBroker(options, logger) {
+	if (!instance) {
+		instance = new MockBroker(options);
+	} else if (options && logger) {
+		const { partitions = 1 } = options;
+		if (partitions !== instance.options.partitions) {
+			logger.warn(`The mock broker exists with ${instance.options.partitions} partition(s) per topic, ${partitions} are ignored. Use clear(options) to change the options`);
+		}
+	}
+	return instance;
+}
+
+module.exports = {
+	MockBroker,
+	getMockBroker
+};
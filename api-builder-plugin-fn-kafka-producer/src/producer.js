@@ -0,0 +1,150 @@
+const { Partitioners } = require('kafkajs');
+
+// Errors after which the connection to the brokers is re-established
+const CONNECTION_ERRORS = [
+	'KafkaJSConnectionError',
+	'KafkaJSNumberOfRetriesExceeded',
+	'KafkaJSBrokerNotFound'
+];
+
+/**
+ * Thrown when a transaction failed and could not be aborted either. The
+ * error that caused the abort is available as `cause`.
+ */
+class TransactionAbortError extends Error {
+	constructor(abortError, cause) {
+		super(`Failed to abort transaction: ${abortError.message}`);
+		this.name = 'TransactionAbortError';
+		this.cause = cause;
+	}
+}
+
+/**
+ * Creates the producer shared by all actions. It is connected once and
+ * reused for every message. kafkajs reconnects to the brokers on its own
+ * while retrying a request. When a send fails with a connection error
+ * anyway, the producer connects again on the next send.
+ *
+ * @param {object} kafka - The kafkajs client.
+ * @param {object} producerConfiguration - The kafkajs producer options.
+ * @param {object} logger - The API Builder logger.
+ * @return {object} `{ connect, send, sendBatch, transaction, partitionOf, disconnect }`
+ */
+function createProducer(kafka, producerConfiguration = {}, logger) {
+	// Remembers the partition of each sent message to resolve its offset
+	const partitions = new WeakMap();
+	const createPartitioner = producerConfiguration.createPartitioner || Partitioners.DefaultPartitioner;
+	const producer = kafka.producer(Object.assign({}, producerConfiguration, {
+		createPartitioner: (options) => {
+			const partitioner = createPartitioner(options);
+			return (args) => {
+				const partition = partitioner(args);
+				partitions.set(args.message, partition);
+				return partition;
+			};
+		}
+	}));
+	const state = { connected: false, connecting: null, stopped: false, transactions: Promise.resolve() };
+
+	function connect() {
+		if (state.connected) {
+			return Promise.resolve();
+		}
+		if (!state.connecting) {
+			state.connecting = producer.connect()
+				.then(() => {
+					state.connected = true;
+					logger.info('Connection to Kafka successful!');
+				})
+				.finally(() => {
+					state.connecting = null;
+				});
+		}
+		return state.connecting;
+	}
+
+	function ensureRunning() {
+		if (state.stopped) {
+			throw new Error('Kafka producer has been disconnected');
+		}
+	}
+
+	function handleSendError(ex) {
+		if (CONNECTION_ERRORS.includes(ex.name)) {
+			state.connected = false;
+		}
+	}
+
+	async function sendMessages(send) {
+		ensureRunning();
+		await connect();
+		try {
+			return await send();
+		} catch (ex) {
+			handleSendError(ex);
+			throw ex;
+		}
+	}
+
+	async function sendTransaction(topicMessages) {
+		ensureRunning();
+		await connect();
+		const transaction = await producer.transaction();
+		try {
+			const result = await transaction.sendBatch({ topicMessages });
+			await transaction.commit();
+			return result;
+		} catch (ex) {
+			handleSendError(ex);
+			try {
+				await transaction.abort();
+			} catch (abortError) {
+				throw new TransactionAbortError(abortError, ex);
+			}
+			throw ex;
+		}
+	}
+
+	return {
+		connect,
+		/**
+		 * Sends the payload, connecting first if the producer is not
+		 * connected (e.g. in developer mode or after a broker failure).
+		 */
+		send: (payload) => sendMessages(() => producer.send(payload)),
+		/**
+		 * Sends the messages of multiple topics in one request.
+		 */
+		sendBatch: (batch) => sendMessages(() => producer.sendBatch(batch)),
+		/**
+		 * Sends the messages of all topics in one transaction that is
+		 * committed, or aborted if sending failed. kafkajs allows only one
+		 * ongoing transaction per producer, so transactions are queued.
+		 */
+		transaction: (topicMessages) => {
+			const result = state.transactions.then(() => sendTransaction(topicMessages));
+			state.transactions = result.catch(() => {});
+			return result;
+		},
+		/**
+		 * Returns the partition a sent message was assigned to.
+		 */
+		partitionOf: (message) => partitions.get(message),
+		disconnect: async () => {
+			state.stopped = true;
+			// Let queued transactions complete before disconnecting
+			await state.transactions;
+			if (state.connecting) {
+				await state.connecting.catch(() => {});
+			}
+			if (state.connected) {
+				state.connected = false;
+				await producer.disconnect();
+				logger.info('Kafka producer disconnected');
+			}
+		}
+	};
+}
+
+module.exports = createProducer;
+module.exports.TransactionAbortError = TransactionAbortError;
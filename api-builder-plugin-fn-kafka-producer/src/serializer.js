@@ -0,0 +1,81 @@
+/**
+ * Thrown when a message value does not match the registered schema.
+ */
+class SchemaValidationError extends Error {
+	constructor(index, registryId, cause) {
+		super(`Message ${index} does not match schema ${registryId}: ${cause.message}${formatPaths(cause.paths)}`);
+		this.name = 'SchemaValidationError';
+		this.paths = cause.paths;
+	}
+}
+
+function formatPaths(paths) {
+	if (!paths || !paths.length) {
+		return '';
+	}
+	// Avro and Protobuf report paths as arrays, JSON Schema as strings or
+	// objects with path and message
+	const formatted = paths.map((path) => {
+		if (Array.isArray(path)) {
+			return path.join('.');
+		}
+		return typeof path === 'object' ? `${path.path} ${path.message}` : path;
+	});
+	return ` at ${formatted.join(', ')}`;
+}
+
+/**
+ * Creates the serializer encoding message values with a schema from a
+ * Confluent-compatible Schema Registry. Avro, JSON Schema and Protobuf are
+ * supported, the schema type is taken from the registry. Encoded values are
+ * prefixed with the magic byte and schema id.
+ *
+ * @param {object} schemaRegistryConfig - The schema registry options, at
+ *	 least `host` with the URL of the registry.
+ * @return {object} `{ encode }`
+ */
+function createSerializer(schemaRegistryConfig) {
+	// The registry client is only loaded when a schema registry is configured
+	const { SchemaRegistry } = require('@kafkajs/confluent-schema-registry');
+	const registry = new SchemaRegistry(schemaRegistryConfig);
+
+	async function getRegistryId({ schemaId, schemaSubject, schemaVersion }) {
+		if (schemaId != null) {
+			return schemaId;
+		}
+		if (schemaVersion != null) {
+			return registry.getRegistryId(schemaSubject, schemaVersion);
+		}
+		return registry.getLatestSchemaId(schemaSubject);
+	}
+
+	return {
+		/**
+		 * Validates and encodes the values of all messages. The messages are
+		 * changed only if all values are valid.
+		 *
+		 * @param {object[]} messages - The kafkajs messages.
+		 * @param {object} schema - `schemaId`, or `schemaSubject` and
+		 *	 optionally `schemaVersion`. Defaults to the latest version.
+		 * @return {object[]} The messages with encoded values.
+		 */
+		encode: async (messages, schema) => {
+			const registryId = await getRegistryId(schema);
+			const values = [];
+			for (const [ index, message ] of messages.entries()) {
+				try {
+					values.push(await registry.encode(registryId, message.value));
+				} catch (ex) {
+					if (ex.name === 'ConfluentSchemaRegistryValidationError') {
+						throw new SchemaValidationError(index, registryId, ex);
+					}
+					throw ex;
+				}
+			}
+			return messages.map((message, index) => Object.assign({}, message, { value: values[index] }));
+		}
+	};
+}
+
+module.exports = createSerializer;
+module.exports.SchemaValidationError = SchemaValidationError;
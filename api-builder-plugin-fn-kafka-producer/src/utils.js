@@ -0,0 +1,49 @@
+/**
+ * Returns the running API Builder instance, e.g. to invoke flows.
+ */
+function getRuntime() {
+	let APIBuilder;
+	try {
+		APIBuilder = require('@axway/api-builder-runtime');
+	} catch (ex) {
+		throw new Error('Plugin is not loaded via an existing @axway/api-builder-runtime instance');
+	}
+	const instance = APIBuilder.getGlobal();
+	if (!instance) {
+		throw new Error('No @axway/api-builder-runtime instance');
+	}
+	return instance;
+}
+
+module.exports = {
+	getRuntime,
+	/**
+	 * Tests whether or not the API Builder application is in developer mode.  The test
+	 * is to check to see if @axway/api-builder-admin exists.
+	 *
+	 * @returns {boolean} True if in developer mode.
+	 */
+	isDeveloperMode: () => {
+		try {
+			// eslint-disable-next-line import/no-unresolved
+			require('@axway/api-builder-admin');
+			return true;
+		} catch (ex) {
+			// when we run plugin test suite @axway/api-builder-admin is not there
+			// so we are kind of simulating production mode
+			return false;
+		}
+	},
+	/**
+	 * Register hooks executed on API Builder lifecycle events.
+	 *
+	 * @param {object} hooks - object with a key that denotes a lifecycle
+	 *  event and value that refer to the function to register for that event.
+	 */
+	registerRuntimeHooks: (hooks) => {
+		const instance = getRuntime();
+		Object.keys(hooks).forEach((event) => {
+			instance.on(event, hooks[event]);
+		});
+	}
+};
@@ -0,0 +1,147 @@
+const { expect } = require('chai');
+const simple = require('simple-mock');
+const createBatcher = require('../src/batcher');
+
+describe('Kafka batcher', () => {
+	let producer;
+	let partitions;
+
+	beforeEach(() => {
+		partitions = new Map();
+		producer = {
+			// Messages with key 'b' go to partition 1, all others to 0
+			sendBatch: simple.mock().callFn(async ({ topicMessages }) => {
+				topicMessages[0].messages.forEach((message) => partitions.set(message, message.key === 'b' ? 1 : 0));
+				return [
+					{ topicName: topicMessages[0].topic, partition: 0, errorCode: 0, baseOffset: '100' },
+					{ topicName: topicMessages[0].topic, partition: 1, errorCode: 0, baseOffset: '200' }
+				];
+			}),
+			partitionOf: (message) => partitions.get(message)
+		};
+	});
+
+	afterEach(() => {
+		simple.restore();
+	});
+
+	it('should send the batch after the linger time', async () => {
+		const batcher = createBatcher(producer, { lingerMs: 20 });
+
+		const sent = batcher.send({ topic: 'telemetry', messages: [ { value: 'first' } ] });
+		await new Promise((resolve) => setTimeout(resolve, 5));
+		expect(producer.sendBatch.callCount).to.equal(0);
+
+		await sent;
+		expect(producer.sendBatch.callCount).to.equal(1);
+	});
+
+	it('should send the batch once it reached maxMessages', async () => {
+		const batcher = createBatcher(producer, { maxMessages: 3, lingerMs: 60000 });
+
+		await Promise.all([
+			batcher.send({ topic: 'telemetry', messages: [ { value: '1' }, { value: '2' } ] }),
+			batcher.send({ topic: 'telemetry', messages: [ { value: '3' } ] })
+		]);
+
+		expect(producer.sendBatch.callCount).to.equal(1);
+		expect(producer.sendBatch.lastCall.arg.topicMessages[0].messages).to.have.length(3);
+	});
+
+	it('should batch per topic and compression', async () => {
+		const batcher = createBatcher(producer, { lingerMs: 1 });
+
+		await Promise.all([
+			batcher.send({ topic: 'telemetry', messages: [ { value: '1' } ], compression: 1 }),
+			batcher.send({ topic: 'telemetry', messages: [ { value: '2' } ], compression: 0 }),
+			batcher.send({ topic: 'audit', messages: [ { value: '3' } ], compression: 1 })
+		]);
+
+		expect(producer.sendBatch.calls.map((call) => call.arg.compression)).to.deep.equal([ 1, 0, 1 ]);
+		expect(producer.sendBatch.calls.map((call) => call.arg.topicMessages[0].topic))
+			.to.deep.equal([ 'telemetry', 'telemetry', 'audit' ]);
+	});
+
+	it('should resolve each send with the offsets of its own messages', async () => {
+		const batcher = createBatcher(producer, { lingerMs: 1 });
+
+		const [ first, second ] = await Promise.all([
+			batcher.send({ topic: 'telemetry', messages: [ { key: 'a', value: '1' }, { key: 'b', value: '2' } ] }),
+			batcher.send({ topic: 'telemetry', messages: [ { key: 'a', value: '3' }, { key: 'b', value: '4' } ] })
+		]);
+
+		expect(first).to.deep.equal([
+			{ topicName: 'telemetry', partition: 0, errorCode: 0, baseOffset: '100' },
+			{ topicName: 'telemetry', partition: 1, errorCode: 0, baseOffset: '200' }
+		]);
+		expect(second).to.deep.equal([
+			{ topicName: 'telemetry', partition: 0, errorCode: 0, baseOffset: '101' },
+			{ topicName: 'telemetry', partition: 1, errorCode: 0, baseOffset: '201' }
+		]);
+	});
+
+	it('should reject all sends of a failed batch', async () => {
+		producer.sendBatch = simple.mock().rejectWith(new Error('Broker not available'));
+		const batcher = createBatcher(producer, { lingerMs: 1 });
+
+		const results = await Promise.all([
+			batcher.send({ topic: 'telemetry', messages: [ { value: '1' } ] }).catch((ex) => ex),
+			batcher.send({ topic: 'telemetry', messages: [ { value: '2' } ] }).catch((ex) => ex)
+		]);
+
+		expect(results.map((ex) => ex.message)).to.deep.equal([ 'Broker not available', 'Broker not available' ]);
+	});
+
+	it('should resolve with a null baseOffset without metadata, e.g. with acks 0', async () => {
+		producer.sendBatch = simple.mock().callFn(async ({ topicMessages }) => {
+			topicMessages[0].messages.forEach((message) => partitions.set(message, 0));
+			return [];
+		});
+		const batcher = createBatcher(producer, { lingerMs: 1 });
+
+		const result = await batcher.send({ topic: 'telemetry', messages: [ { value: '1' }, { value: '2' } ] });
+
+		expect(result).to.deep.equal([ { topicName: 'telemetry', partition: 0, baseOffset: null } ]);
+	});
+
+	it('should resolve with a null baseOffset for a partition without metadata', async () => {
+		const batcher = createBatcher(producer, { lingerMs: 1 });
+		producer.sendBatch = simple.mock().callFn(async ({ topicMessages }) => {
+			topicMessages[0].messages.forEach((message) => partitions.set(message, message.key === 'b' ? 1 : 0));
+			return [ { topicName: 'telemetry', partition: 0, errorCode: 0, baseOffset: '100' } ];
+		});
+
+		const result = await batcher.send({ topic: 'telemetry', messages: [ { key: 'a', value: '1' }, { key: 'b', value: '2' } ] });
+
+		expect(result).to.deep.equal([
+			{ topicName: 'telemetry', partition: 0, errorCode: 0, baseOffset: '100' },
+			{ topicName: 'telemetry', partition: 1, baseOffset: null }
+		]);
+	});
+
+	it('should reject all sends if the metadata can not be resolved', async () => {
+		producer.sendBatch = simple.mock().callFn(async ({ topicMessages }) => {
+			topicMessages[0].messages.forEach((message) => partitions.set(message, 0));
+			return [ { topicName: 'telemetry', partition: 0, errorCode: 0, baseOffset: 'invalid' } ];
+		});
+		const batcher = createBatcher(producer, { lingerMs: 1 });
+
+		const results = await Promise.all([
+			batcher.send({ topic: 'telemetry', messages: [ { value: '1' } ] }).catch((ex) => ex),
+			batcher.send({ topic: 'telemetry', messages: [ { value: '2' } ] }).catch((ex) => ex)
+		]);
+
+		expect(results[0]).to.be.instanceOf(SyntaxError);
+		expect(results[1]).to.equal(results[0]);
+	});
+
+	it('should send buffered messages on flush', async () => {
+		const batcher = createBatcher(producer, { lingerMs: 60000 });
+
+		const sent = batcher.send({ topic: 'telemetry', messages: [ { value: '1' } ] });
+		await batcher.flush();
+
+		expect(producer.sendBatch.callCount).to.equal(1);
+		expect(await sent).to.have.length(1);
+	});
+});
@@ -0,0 +1,136 @@
+const { expect } = require('chai');
+const simple = require('simple-mock');
+const mock = require('mock-require');
+
+describe('Kafka consumer', () => {
+	let server;
+	let logger;
+	let consumer;
+	let kafka;
+
+	beforeEach(() => {
+		server = {
+			getFlow: simple.mock().returnWith(true),
+			flowManager: {
+				flow: simple.mock().resolveWith('done')
+			}
+		};
+		logger = {
+			info: simple.mock(),
+			warn: simple.mock(),
+			error: simple.mock()
+		};
+		consumer = {
+			connect: simple.mock().resolveWith(),
+			subscribe: simple.mock().resolveWith(),
+			run: simple.mock().resolveWith(),
+			commitOffsets: simple.mock().resolveWith(),
+			pause: simple.mock(),
+			resume: simple.mock(),
+			seek: simple.mock(),
+			disconnect: simple.mock().resolveWith()
+		};
+		kafka = {
+			consumer: simple.mock().returnWith(consumer)
+		};
+		mock('@axway/api-builder-runtime', { getGlobal: () => server });
+	});
+
+	afterEach(() => {
+		simple.restore();
+		mock.stopAll();
+	});
+
+	async function startConsumer(config) {
+		const createConsumers = mock.reRequire('../src/consumer');
+		const consumers = createConsumers(kafka, {
+			consumers: [ Object.assign({ groupId: 'orders-group', topics: [ 'orders' ], flow: 'ProcessOrder' }, config) ]
+		}, logger);
+		await consumers.start();
+		return { consumers, eachMessage: consumer.run.lastCall.arg.eachMessage };
+	}
+
+	const message = {
+		offset: '41',
+		key: Buffer.from('order-1'),
+		value: Buffer.from('{"id":1}'),
+		headers: { correlationId: Buffer.from('abc') },
+		timestamp: '1600000000000'
+	};
+
+	it('should subscribe to the topics and run with manual commits', async () => {
+		await startConsumer({ topics: [ 'orders', 'returns' ], concurrency: 3, fromBeginning: true });
+
+		expect(kafka.consumer.lastCall.arg).to.deep.equal({ groupId: 'orders-group' });
+		expect(consumer.subscribe.calls.map((call) => call.arg)).to.deep.equal([
+			{ topic: 'orders', fromBeginning: true },
+			{ topic: 'returns', fromBeginning: true }
+		]);
+		expect(consumer.run.lastCall.arg).to.include({ autoCommit: false, partitionsConsumedConcurrently: 3 });
+	});
+
+	it('should invoke the flow and commit the offset afterwards', async () => {
+		const { eachMessage } = await startConsumer({ parseJson: true });
+
+		await eachMessage({ topic: 'orders', partition: 2, message });
+
+		expect(server.flowManager.flow.callCount).to.equal(1);
+		expect(server.flowManager.flow.lastCall.args[0]).to.equal('ProcessOrder');
+		expect(server.flowManager.flow.lastCall.args[1]).to.deep.equal({
+			topic: 'orders',
+			partition: 2,
+			offset: '41',
+			key: 'order-1',
+			value: { id: 1 },
+			headers: { correlationId: 'abc' },
+			timestamp: '1600000000000'
+		});
+		expect(consumer.commitOffsets.lastCall.arg).to.deep.equal([
+			{ topic: 'orders', partition: 2, offset: '42' }
+		]);
+	});
+
+	it('should pause the partition and not commit when the flow fails', async () => {
+		server.flowManager.flow = simple.mock().rejectWith(new Error('boom'));
+		const { eachMessage, consumers } = await startConsumer({ retryDelay: 10 });
+
+		await eachMessage({ topic: 'orders', partition: 2, message });
+
+		expect(consumer.commitOffsets.callCount).to.equal(0);
+		expect(consumer.pause.lastCall.arg).to.deep.equal([ { topic: 'orders', partitions: [ 2 ] } ]);
+		expect(consumer.seek.lastCall.arg).to.deep.equal({ topic: 'orders', partition: 2, offset: '41' });
+		expect(logger.error.lastCall.arg).to.equal(
+			'Flow: ProcessOrder failed for message orders[2]@41, retrying in 10 ms: boom');
+
+		await new Promise((resolve) => setTimeout(resolve, 20));
+		expect(consumer.resume.lastCall.arg).to.deep.equal([ { topic: 'orders', partitions: [ 2 ] } ]);
+		await consumers.stop();
+	});
+
+	it('should not commit when the flow does not exist', async () => {
+		server.getFlow = simple.mock().returnWith(undefined);
+		const { eachMessage, consumers } = await startConsumer({ retryDelay: 1000 });
+
+		await eachMessage({ topic: 'orders', partition: 0, message });
+
+		expect(consumer.commitOffsets.callCount).to.equal(0);
+		expect(consumer.pause.callCount).to.equal(1);
+		await consumers.stop();
+		expect(consumer.resume.callCount).to.equal(0);
+	});
+
+	it('should disconnect on stop', async () => {
+		const { consumers } = await startConsumer();
+
+		await consumers.stop();
+
+		expect(consumer.disconnect.callCount).to.equal(1);
+	});
+
+	it('should reject a consumer without flow', () => {
+		const createConsumers = mock.reRequire('../src/consumer');
+		expect(() => createConsumers(kafka, {
+			consumers: [ { groupId: 'orders-group', topics: [ 'orders' ] } ]
+		}, logger)).to.throw('Consumer group: orders-group must define a flow');
+	});
+});
@@ -0,0 +1,209 @@
+const { expect } = require('chai');
+const simple = require('simple-mock');
+const mock = require('mock-require');
+const { MockRuntime } = require('@axway/api-builder-sdk');
+const { MockBroker, getMockBroker } = require('../src/mock-broker');
+
+describe('Mock broker', () => {
+	let broker;
+
+	beforeEach(() => {
+		broker = new MockBroker({ partitions: 2 });
+	});
+
+	afterEach(() => {
+		simple.restore();
+		mock.stopAll();
+	});
+
+	// Wait for pending deliveries to consumers
+	const delivered = () => new Promise(setImmediate);
+
+	it('should record sent messages per topic and partition', async () => {
+		const producer = broker.producer();
+		await producer.connect();
+
+		const metadata = await producer.send({
+			topic: 'orders',
+			messages: [
+				{ value: 'first', partition: 1 },
+				{ value: 'second', partition: 0 },
+				{ value: 'third', partition: 1, headers: { correlationId: 'abc' } }
+			]
+		});
+
+		expect(metadata).to.deep.equal([
+			{ topicName: 'orders', partition: 1, errorCode: 0, baseOffset: '0', logAppendTime: '-1', logStartOffset: '0' },
+			{ topicName: 'orders', partition: 0, errorCode: 0, baseOffset: '0', logAppendTime: '-1', logStartOffset: '0' }
+		]);
+		expect(broker.messages('orders', 1).map(({ offset, value, headers }) => ({ offset, value, headers }))).to.deep.equal([
+			{ offset: '0', value: 'first', headers: {} },
+			{ offset: '1', value: 'third', headers: { correlationId: 'abc' } }
+		]);
+		expect(broker.messages('orders')).to.have.length(3);
+		expect(broker.messages('unknown')).to.deep.equal([]);
+	});
+
+	it('should reject sending when not connected', async () => {
+		let error;
+		try {
+			await broker.producer().send({ topic: 'orders', messages: [ { value: 'first' } ] });
+		} catch (ex) {
+			error = ex;
+		}
+
+		expect(error).to.have.property('message', 'The producer is disconnected');
+	});
+
+	it('should only record messages of committed transactions', async () => {
+		const producer = broker.producer();
+		await producer.connect();
+
+		const committed = await producer.transaction();
+		await committed.sendBatch({ topicMessages: [ { topic: 'orders', messages: [ { value: 'kept', partition: 0 } ] } ] });
+		expect(broker.messages('orders')).to.deep.equal([]);
+		await committed.commit();
+
+		const aborted = await producer.transaction();
+		await aborted.sendBatch({ topicMessages: [ { topic: 'orders', messages: [ { value: 'dropped', partition: 0 } ] } ] });
+		await aborted.abort();
+
+		expect(broker.messages('orders').map(({ value }) => value)).to.deep.equal([ 'kept' ]);
+	});
+
+	it('should deliver messages to consumers and resume from committed offsets', async () => {
+		broker.produce('orders', [ { value: 'old', partition: 0 } ]);
+		const received = [];
+		const consumer = broker.consumer({ groupId: 'billing' });
+		await consumer.connect();
+		await consumer.subscribe({ topic: 'orders', fromBeginning: true });
+		await consumer.run({
+			eachMessage: async ({ topic, partition, message }) => {
+				received.push(message.value.toString());
+				await consumer.commitOffsets([ { topic, partition, offset: String(Number(message.offset) + 1) } ]);
+			}
+		});
+		broker.produce('orders', [ { value: 'new', partition: 1 } ]);
+		await delivered();
+		await consumer.disconnect();
+
+		broker.produce('orders', [ { value: 'later', partition: 0 } ]);
+		const restarted = broker.consumer({ groupId: 'billing' });
+		await restarted.connect();
+		await restarted.subscribe({ topic: 'orders' });
+		await restarted.run({ eachMessage: async ({ message }) => received.push(message.value.toString()) });
+		await delivered();
+
+		expect(received).to.deep.equal([ 'old', 'new', 'later' ]);
+	});
+
+	it('should redeliver after seek and resume', async () => {
+		const received = [];
+		const consumer = broker.consumer({ groupId: 'billing' });
+		await consumer.connect();
+		await consumer.subscribe({ topic: 'orders' });
+		await consumer.run({
+			eachMessage: async ({ topic, partition, message }) => {
+				received.push(message.value.toString());
+				if (received.length === 1) {
+					consumer.pause([ { topic, partitions: [ partition ] } ]);
+					consumer.seek({ topic, partition, offset: message.offset });
+				}
+			}
+		});
+
+		broker.produce('orders', [ { value: 'retried', partition: 0 } ]);
+		await delivered();
+		expect(received).to.deep.equal([ 'retried' ]);
+
+		consumer.resume([ { topic: 'orders', partitions: [ 0 ] } ]);
+		await delivered();
+		expect(received).to.deep.equal([ 'retried', 'retried' ]);
+	});
+
+	it('should manage topics with the admin client', async () => {
+		const admin = broker.admin();
+
+		expect(await admin.createTopics({
+			topics: [ { topic: 'tenant-1', numPartitions: 3, configEntries: [ { name: 'cleanup.policy', value: 'compact' } ] } ]
+		})).to.equal(true);
+		expect(await admin.createTopics({ topics: [ { topic: 'tenant-1' } ] })).to.equal(false);
+		expect(await admin.listTopics()).to.deep.equal([ 'tenant-1' ]);
+		expect((await admin.fetchTopicMetadata({ topics: [ 'tenant-1' ] })).topics[0].partitions).to.have.length(3);
+		expect((await admin.describeConfigs({ resources: [ { type: 2, name: 'tenant-1' } ] })).resources[0].configEntries)
+			.to.deep.equal([ { configName: 'cleanup.policy', configValue: 'compact' } ]);
+
+		await admin.deleteTopics({ topics: [ 'tenant-1' ] });
+		expect(await admin.listTopics()).to.deep.equal([]);
+	});
+
+	it('should reject messages for a partition that does not exist', async () => {
+		const producer = broker.producer();
+		await producer.connect();
+
+		let error;
+		try {
+			await producer.send({
+				topic: 'orders',
+				messages: [ { value: 'valid', partition: 0 }, { value: 'invalid', partition: 2 } ]
+			});
+		} catch (ex) {
+			error = ex;
+		}
+
+		expect(error).to.have.property('name', 'KafkaJSProtocolError');
+		expect(error).to.include({ type: 'UNKNOWN_TOPIC_OR_PARTITION', code: 3 });
+		expect(error.message).to.equal('This server does not host this topic-partition: orders/2');
+		expect(broker.messages('orders')).to.deep.equal([]);
+	});
+
+	it('should apply the options given to clear', () => {
+		broker.produce('orders', [ { value: 'old' } ]);
+
+		broker.clear({ partitions: 3 });
+		broker.produce('orders', [ { value: 'new', partition: 2 } ]);
+
+		expect(broker.messages('orders').map(({ partition, value }) => ({ partition, value })))
+			.to.deep.equal([ { partition: 2, value: 'new' } ]);
+		expect(broker.getTopic('orders').partitions).to.have.length(3);
+	});
+
+	it('should warn if the options differ from the existing broker', () => {
+		const logger = { warn: simple.mock() };
+		const existing = getMockBroker();
+		existing.clear({ partitions: 2 });
+
+		expect(getMockBroker({ partitions: 2 }, logger)).to.equal(existing);
+		expect(logger.warn.callCount).to.equal(0);
+		expect(getMockBroker({ partitions: 4 }, logger)).to.equal(existing);
+
+		expect(existing.defaultPartitions).to.equal(2);
+		expect(logger.warn.lastCall.arg).to.equal('The mock broker exists with 2 partition(s) per topic, 4 are ignored. Use clear(options) to change the options');
+		existing.clear({ partitions: 1 });
+	});
+
+	it('should be used by the plugin when configured', async () => {
+		mock('@axway/api-builder-runtime', {
+			getGlobal: () => ({ on: simple.mock() })
+		});
+		const getPlugin = mock.reRequire('../src');
+		const plugin = await MockRuntime.loadPlugin(getPlugin, { mockBroker: { partitions: 1 } });
+		getMockBroker().clear();
+
+		const result = await plugin.getFlowNode('producer').publish({
+			topic: 'orders',
+			messages: [ { id: 1 } ],
+			key: 'order-1'
+		});
+
+		expect(result.output).to.equal('next');
+		expect(getMockBroker().messages('orders')).to.deep.equal([ {
+			partition: 0,
+			offset: '0',
+			key: 'order-1',
+			value: '{"id":1}',
+			headers: {},
+			timestamp: getMockBroker().messages('orders')[0].timestamp
+		} ]);
+	});
+});
@@ -0,0 +1,191 @@
+const { expect } = require('chai');
+const simple = require('simple-mock');
+const createProducer = require('../src/producer');
+
+describe('Kafka producer', () => {
+	let logger;
+	let producer;
+	let kafka;
+
+	beforeEach(() => {
+		logger = {
+			info: simple.mock(),
+			warn: simple.mock(),
+			error: simple.mock()
+		};
+		producer = {
+			connect: simple.mock().resolveWith(),
+			send: simple.mock().resolveWith([]),
+			disconnect: simple.mock().resolveWith()
+		};
+		kafka = {
+			producer: simple.mock().returnWith(producer)
+		};
+	});
+
+	afterEach(() => {
+		simple.restore();
+	});
+
+	it('should create the producer with the producer configuration', () => {
+		createProducer(kafka, { idempotent: true }, logger);
+
+		expect(kafka.producer.lastCall.arg).to.have.property('idempotent', true);
+		expect(kafka.producer.lastCall.arg.createPartitioner).to.be.a('function');
+	});
+
+	it('should remember the partition of sent messages', () => {
+		const sharedProducer = createProducer(kafka, {
+			createPartitioner: () => ({ message }) => message.key === 'a' ? 1 : 2
+		}, logger);
+		const partitioner = kafka.producer.lastCall.arg.createPartitioner();
+		const first = { key: 'a', value: 'first' };
+		const second = { key: 'b', value: 'second' };
+
+		expect(partitioner({ topic: 'orders', partitionMetadata: [], message: first })).to.equal(1);
+		partitioner({ topic: 'orders', partitionMetadata: [], message: second });
+
+		expect(sharedProducer.partitionOf(first)).to.equal(1);
+		expect(sharedProducer.partitionOf(second)).to.equal(2);
+	});
+
+	it('should connect only once when sending concurrently', async () => {
+		const sharedProducer = createProducer(kafka, {}, logger);
+
+		await Promise.all([
+			sharedProducer.send({ topic: 'orders', messages: [] }),
+			sharedProducer.send({ topic: 'orders', messages: [] })
+		]);
+
+		expect(producer.connect.callCount).to.equal(1);
+		expect(producer.send.callCount).to.equal(2);
+	});
+
+	it('should reconnect on next send after a connection error', async () => {
+		const connectionError = new Error('Connection timeout');
+		connectionError.name = 'KafkaJSConnectionError';
+		producer.send = simple.mock().rejectWith(connectionError).resolveWith([]);
+		const sharedProducer = createProducer(kafka, {}, logger);
+
+		let error;
+		try {
+			await sharedProducer.send({ topic: 'orders', messages: [] });
+		} catch (ex) {
+			error = ex;
+		}
+		await sharedProducer.send({ topic: 'orders', messages: [] });
+
+		expect(error).to.equal(connectionError);
+		expect(producer.connect.callCount).to.equal(2);
+	});
+
+	it('should not reconnect on next send after other errors', async () => {
+		const sendError = new Error('Message too large');
+		sendError.name = 'KafkaJSProtocolError';
+		producer.send = simple.mock().rejectWith(sendError).resolveWith([]);
+		const sharedProducer = createProducer(kafka, {}, logger);
+
+		let error;
+		try {
+			await sharedProducer.send({ topic: 'orders', messages: [] });
+		} catch (ex) {
+			error = ex;
+		}
+		await sharedProducer.send({ topic: 'orders', messages: [] });
+
+		expect(error).to.equal(sendError);
+		expect(producer.connect.callCount).to.equal(1);
+	});
+
+	it('should disconnect gracefully and not send anymore', async () => {
+		const sharedProducer = createProducer(kafka, {}, logger);
+		await sharedProducer.connect();
+
+		await sharedProducer.disconnect();
+		let error;
+		try {
+			await sharedProducer.send({ topic: 'orders', messages: [] });
+		} catch (ex) {
+			error = ex;
+		}
+
+		expect(producer.disconnect.callCount).to.equal(1);
+		expect(producer.connect.callCount).to.equal(1);
+		expect(error).to.have.property('message', 'Kafka producer has been disconnected');
+	});
+
+	it('should not disconnect if never connected', async () => {
+		const sharedProducer = createProducer(kafka, {}, logger);
+
+		await sharedProducer.disconnect();
+
+		expect(producer.disconnect.callCount).to.equal(0);
+	});
+
+	describe('transaction', () => {
+		it('should run one transaction at a time', async () => {
+			const sharedProducer = createProducer(kafka, {}, logger);
+			const transactions = [];
+			let commitFirst;
+			producer.transaction = simple.mock().callFn(async () => {
+				const transaction = {
+					sendBatch: simple.mock().resolveWith([]),
+					commit: simple.mock().callFn(() => transactions.length === 1
+						? new Promise((resolve) => commitFirst = resolve)
+						: Promise.resolve())
+				};
+				transactions.push(transaction);
+				return transaction;
+			});
+
+			const first = sharedProducer.transaction([]);
+			const second = sharedProducer.transaction([]);
+			await new Promise(setImmediate);
+			expect(transactions.length).to.equal(1);
+
+			commitFirst();
+			await Promise.all([ first, second ]);
+			expect(transactions.length).to.equal(2);
+		});
+
+		it('should continue with the next transaction after a failure', async () => {
+			const sharedProducer = createProducer(kafka, {}, logger);
+			producer.transaction = simple.mock()
+				.rejectWith(new Error('Coordinator not available'))
+				.resolveWith({
+					sendBatch: simple.mock().resolveWith([ 'done' ]),
+					commit: simple.mock().resolveWith()
+				});
+
+			let error;
+			try {
+				await sharedProducer.transaction([]);
+			} catch (ex) {
+				error = ex;
+			}
+			const result = await sharedProducer.transaction([]);
+
+			expect(error).to.have.property('message', 'Coordinator not available');
+			expect(result).to.deep.equal([ 'done' ]);
+		});
+
+		it('should throw TransactionAbortError if abort failed', async () => {
+			const sharedProducer = createProducer(kafka, {}, logger);
+			const sendError = new Error('Not leader for partition');
+			producer.transaction = simple.mock().resolveWith({
+				sendBatch: simple.mock().rejectWith(sendError),
+				abort: simple.mock().rejectWith(new Error('Coordinator not available'))
+			});
+
+			let error;
+			try {
+				await sharedProducer.transaction([]);
+			} catch (ex) {
+				error = ex;
+			}
+
+			expect(error).to.be.instanceOf(createProducer.TransactionAbortError);
+			expect(error.cause).to.equal(sendError);
+		});
+	});
+});
@@ -0,0 +1,117 @@
+const { expect } = require('chai');
+const { execFileSync } = require('child_process');
+const path = require('path');
+const simple = require('simple-mock');
+const { SchemaRegistry } = require('@kafkajs/confluent-schema-registry');
+const createSerializer = require('../src/serializer');
+
+describe('Schema registry serializer', () => {
+	const schemas = {
+		1: {
+			schemaType: 'AVRO',
+			schema: JSON.stringify({
+				type: 'record',
+				name: 'Order',
+				namespace: 'com.example',
+				fields: [
+					{ name: 'id', type: 'int' },
+					{ name: 'product', type: 'string' }
+				]
+			})
+		},
+		2: {
+			schemaType: 'JSON',
+			schema: JSON.stringify({
+				type: 'object',
+				properties: { id: { type: 'integer' } },
+				required: [ 'id' ]
+			})
+		}
+	};
+	let serializer;
+
+	beforeEach(() => {
+		simple.mock(SchemaRegistry.prototype, 'getSchemaOriginRequest').callFn(async (registryId) => ({
+			data: () => schemas[registryId]
+		}));
+		simple.mock(SchemaRegistry.prototype, 'getRegistryId').resolveWith(1);
+		simple.mock(SchemaRegistry.prototype, 'getLatestSchemaId').resolveWith(2);
+		serializer = createSerializer({ host: 'http://localhost:8081' });
+	});
+
+	afterEach(() => {
+		simple.restore();
+	});
+
+	function schemaIdOf(buffer) {
+		// Magic byte followed by the schema id as 4 byte big endian
+		expect(buffer[0]).to.equal(0);
+		return buffer.readInt32BE(1);
+	}
+
+	it('should encode with the schema of a subject version', async () => {
+		const messages = await serializer.encode(
+			[ { value: { id: 1, product: 'book' }, key: 'order-1' } ],
+			{ schemaSubject: 'orders-value', schemaVersion: 3 }
+		);
+
+		expect(SchemaRegistry.prototype.getRegistryId.lastCall.args).to.deep.equal([ 'orders-value', 3 ]);
+		expect(messages[0].key).to.equal('order-1');
+		expect(Buffer.isBuffer(messages[0].value)).to.equal(true);
+		expect(schemaIdOf(messages[0].value)).to.equal(1);
+	});
+
+	it('should encode with the latest schema of a subject', async () => {
+		const messages = await serializer.encode([ { value: { id: 1 } } ], { schemaSubject: 'orders-value' });
+
+		expect(SchemaRegistry.prototype.getLatestSchemaId.lastCall.arg).to.equal('orders-value');
+		expect(schemaIdOf(messages[0].value)).to.equal(2);
+		expect(JSON.parse(messages[0].value.slice(5))).to.deep.equal({ id: 1 });
+	});
+
+	it('should encode with a schema id', async () => {
+		const messages = await serializer.encode([ { value: { id: 1, product: 'book' } } ], { schemaId: 1 });
+
+		expect(SchemaRegistry.prototype.getRegistryId.callCount).to.equal(0);
+		expect(schemaIdOf(messages[0].value)).to.equal(1);
+	});
+
+	it('should reject values not matching the schema', async () => {
+		let error;
+		try {
+			await serializer.encode([
+				{ value: { id: 1, product: 'book' } },
+				{ value: { id: 'two', product: 'pen' } }
+			], { schemaId: 1 });
+		} catch (ex) {
+			error = ex;
+		}
+
+		expect(error).to.be.instanceOf(createSerializer.SchemaValidationError);
+		expect(error.message).to.match(/^Message 1 does not match schema 1: .* at id$/);
+		expect(error.paths).to.deep.equal([ [ 'id' ] ]);
+	});
+
+	it('should pass registry errors', async () => {
+		simple.mock(SchemaRegistry.prototype, 'getLatestSchemaId').rejectWith(new Error('Subject not found'));
+
+		let error;
+		try {
+			await serializer.encode([ { value: { id: 1 } } ], { schemaSubject: 'unknown' });
+		} catch (ex) {
+			error = ex;
+		}
+
+		expect(error).to.have.property('message', 'Subject not found');
+	});
+
+	it('should load the registry client only when a serializer is created', () => {
+		// A new process, as the registry is already loaded by this test
+		const loaded = execFileSync(process.execPath, [ '-e', `
+			require('./src/actions');
+			console.log(Object.keys(require.cache).some((file) => file.includes('confluent-schema-registry')));
+		` ], { cwd: path.join(__dirname, '..') }).toString().trim();
+
+		expect(loaded).to.equal('false');
+	});
+});
@@ -1,12 +1,52 @@
 const { expect } = require('chai');
+const simple = require('simple-mock');
+const mock = require('mock-require');
 const { MockRuntime } = require('@axway/api-builder-sdk');
-const getPlugin = require('../src');
+const { SchemaRegistry } = require('@kafkajs/confluent-schema-registry');
+const kafkajs = require('kafkajs');
 const actions = require('../src/actions');
 
+const { CompressionTypes } = kafkajs;
+
+const pluginConfig = {
+	clientConfiguration: {
+		brokers: [ 'localhost:9092' ]
+	},
+	registerHooks: false
+};
+
+function mockKafka(producer, admin = {}) {
+	mock('kafkajs', Object.assign({}, kafkajs, {
+		Kafka: function () {
+			this.producer = (options) => {
+				producer.options = options;
+				return producer;
+			};
+			this.admin = () => admin;
+		}
+	}));
+	return mock.reRequire('../src');
+}
+
+function createMockedProducer() {
+	return {
+		connect: simple.mock().resolveWith(),
+		send: simple.mock().resolveWith([ { topicName: 'test-topic', partition: 0, errorCode: 0 } ]),
+		disconnect: simple.mock().resolveWith()
+	};
+}
 
 describe('flow-node producer', () => {
 	let plugin;
-	before(async () => plugin = await MockRuntime.loadPlugin(getPlugin));
+	let producer;
+	before(async () => {
+		producer = createMockedProducer();
+		plugin = await MockRuntime.loadPlugin(mockKafka(producer), pluginConfig);
+	});
+
+	after(() => {
+		mock.stopAll();
+	});
 
 	describe('#constructor', () => {
 		it('should define flow-nodes', () => {
@@ -14,6 +54,7 @@ describe('flow-node producer', () => {
 			expect(actions.publish).to.be.a('function');
 			expect(plugin).to.be.a('object');
 			expect(plugin.getFlowNodeIds()).to.deep.equal([
+				'admin',
 				'producer'
 			]);
 			const flowNode = plugin.getFlowNode('producer');
@@ -24,7 +65,17 @@ describe('flow-node producer', () => {
 			expect(flowNode.description).to.equal('A flow-node that puts JSON objects on Kafka topics.');
 			expect(flowNode.icon).to.be.a('string');
 			expect(flowNode.getMethods()).to.deep.equal([
-				'publish'
+				'publish',
+				'publishToDeadLetter',
+				'publishTransaction'
+			]);
+			expect(plugin.getFlowNode('admin').getMethods()).to.deep.equal([
+				'createTopic',
+				'deleteTopic',
+				'describeTopic',
+				'fetchGroupOffsets',
+				'fetchTopicOffsets',
+				'listTopics'
 			]);
 		});
 
@@ -100,9 +151,592 @@ describe('flow-node producer', () => {
 			});
 			
 			expect(result.callCount).to.equal(1);
+			expect(result.output).to.equal('next');
+			expect(result.args[1]).to.deep.equal([ { topicName: 'test-topic', partition: 0, errorCode: 0 } ]);
+			expect(producer.send.lastCall.arg).to.deep.equal({
+				topic: 'test-topic',
+				messages: [ { value: 'a test message' } ],
+				compression: CompressionTypes.None
+			});
+		});
+
+		it('should send each message of an array of strings', async () => {
+			const flowNode = plugin.getFlowNode('producer');
+
+			const result = await flowNode.publish({ messages: [ 'first', 'second' ], topic: 'test-topic' });
+
+			expect(result.output).to.equal('next');
+			expect(producer.send.lastCall.arg.messages).to.deep.equal([
+				{ value: 'first' },
+				{ value: 'second' }
+			]);
+		});
+
+		it('should send objects as JSON', async () => {
+			const flowNode = plugin.getFlowNode('producer');
+
+			await flowNode.publish({ messages: { id: 1 }, topic: 'test-topic' });
+			expect(producer.send.lastCall.arg.messages).to.deep.equal([ { value: '{"id":1}' } ]);
+
+			await flowNode.publish({
+				messages: [ { id: 1 }, { value: { id: 2 }, key: 'order-2' }, 3 ],
+				topic: 'test-topic'
+			});
+			expect(producer.send.lastCall.arg.messages).to.deep.equal([
+				{ value: '{"id":1}' },
+				{ value: '{"id":2}', key: 'order-2' },
+				{ value: '3' }
+			]);
+		});
+
+		it('should send objects with a value and other fields as value', async () => {
+			const flowNode = plugin.getFlowNode('producer');
+
+			await flowNode.publish({
+				messages: [ { value: 42, unit: 'C' }, { value: { value: 42, unit: 'C' }, key: 'sensor-1' } ],
+				topic: 'test-topic'
+			});
+
+			expect(producer.send.lastCall.arg.messages).to.deep.equal([
+				{ value: '{"value":42,"unit":"C"}' },
+				{ value: '{"value":42,"unit":"C"}', key: 'sensor-1' }
+			]);
+		});
+
+		it('should pass Buffers through', async () => {
+			const flowNode = plugin.getFlowNode('producer');
+			const value = Buffer.from([ 0, 1, 2 ]);
+
+			await flowNode.publish({ messages: [ value ], topic: 'test-topic' });
+
+			expect(producer.send.lastCall.arg.messages[0].value).to.equal(value);
+		});
+
+		it('should encode objects with the configured valueEncoder', async () => {
+			const encodingProducer = createMockedProducer();
+			const encodingPlugin = await MockRuntime.loadPlugin(
+				mockKafka(encodingProducer),
+				Object.assign({ valueEncoder: (value) => Buffer.from(JSON.stringify(value, null, 2)) }, pluginConfig)
+			);
+
+			await encodingPlugin.getFlowNode('producer').publish({
+				messages: [ 'text', { id: 1 }, { value: 42, unit: 'C' } ],
+				topic: 'test-topic'
+			});
+
+			const [ text, object, measurement ] = encodingProducer.send.lastCall.arg.messages;
+			expect(text.value).to.equal('text');
+			expect(object.value.toString()).to.equal('{\n  "id": 1\n}');
+			expect(JSON.parse(measurement.value.toString())).to.deep.equal({ value: 42, unit: 'C' });
+		});
+
+		it('should add headers and timestamp to all messages', async () => {
+			const flowNode = plugin.getFlowNode('producer');
+
+			const result = await flowNode.publish({
+				messages: [ 'first', 'second' ],
+				topic: 'test-topic',
+				key: 'order-1',
+				headers: { correlationId: 'abc' },
+				timestamp: '2020-09-13T12:26:40.000Z'
+			});
+
+			expect(result.output).to.equal('next');
+			expect(producer.send.lastCall.arg.messages).to.deep.equal([
+				{ value: 'first', key: 'order-1', headers: { correlationId: 'abc' }, timestamp: '1600000000000' },
+				{ value: 'second', key: 'order-1', headers: { correlationId: 'abc' }, timestamp: '1600000000000' }
+			]);
+		});
+
+		it('should use key, partition and headers of message objects', async () => {
+			const flowNode = plugin.getFlowNode('producer');
+
+			const result = await flowNode.publish({
+				messages: [
+					{ value: 'first', key: 'order-1', headers: { traceId: '1' } },
+					{ value: 'second', partition: 2, timestamp: 1600000000000 }
+				],
+				topic: 'test-topic',
+				key: 'default',
+				headers: { correlationId: 'abc' }
+			});
+
+			expect(result.output).to.equal('next');
+			expect(producer.send.lastCall.arg.messages).to.deep.equal([
+				{ value: 'first', key: 'order-1', headers: { correlationId: 'abc', traceId: '1' } },
+				{ value: 'second', key: 'default', partition: 2, headers: { correlationId: 'abc' }, timestamp: '1600000000000' }
+			]);
+		});
+
+		it('should error if the timestamp is invalid', async () => {
+			const flowNode = plugin.getFlowNode('producer');
+
+			const result = await flowNode.publish({
+				messages: 'a test message',
+				topic: 'test-topic',
+				timestamp: 'yesterday'
+			});
+
+			expect(result.output).to.equal('error');
+			expect(result.args[1]).to.be.instanceOf(Error)
+				.and.to.have.property('message', 'Invalid timestamp: yesterday');
+		});
+
+		it('should compress the messages', async () => {
+			const flowNode = plugin.getFlowNode('producer');
+
+			const result = await flowNode.publish({ messages: 'a test message', topic: 'test-topic', compression: 'GZIP' });
+
+			expect(result.output).to.equal('next');
+			expect(producer.send.lastCall.arg.compression).to.equal(CompressionTypes.GZIP);
+		});
+
+		it('should error if the compression codec is not registered', async () => {
+			const flowNode = plugin.getFlowNode('producer');
+
+			const result = await flowNode.publish({ messages: 'a test message', topic: 'test-topic', compression: 'ZSTD' });
+
+			expect(result.output).to.equal('error');
+			expect(result.args[1]).to.have.property('message',
+				'Compression codec ZSTD is not registered. Add it to compressionCodecs in the plugin configuration');
+		});
+
+		it('should reuse the producer connected on startup', async () => {
+			const flowNode = plugin.getFlowNode('producer');
+
+			await flowNode.publish({ messages: 'first', topic: 'test-topic' });
+			await flowNode.publish({ messages: 'second', topic: 'test-topic' });
+
+			expect(producer.connect.callCount).to.equal(1);
+		});
+
+		it('should error if the message could not be sent', async () => {
+			const flowNode = plugin.getFlowNode('producer');
+			producer.send = simple.mock().rejectWith(new Error('Broker not available'));
+
+			const result = await flowNode.publish({ messages: 'a test message', topic: 'test-topic' });
+
+			expect(result.output).to.equal('error');
+			expect(result.args[1]).to.be.instanceOf(Error)
+				.and.to.have.property('message', 'Error sending message to Kafka: Error: Broker not available');
+		});
+	});
+
+	describe('Publish with schema registry', () => {
+		let registryPlugin;
+		let registryProducer;
+
+		beforeEach(async () => {
+			registryProducer = createMockedProducer();
+			simple.mock(SchemaRegistry.prototype, 'getSchemaOriginRequest').resolveWith({
+				data: () => ({
+					schemaType: 'JSON',
+					schema: JSON.stringify({ type: 'object', required: [ 'id' ] })
+				})
+			});
+			registryPlugin = await MockRuntime.loadPlugin(
+				mockKafka(registryProducer),
+				Object.assign({ schemaRegistry: { host: 'http://localhost:8081' } }, pluginConfig)
+			);
+		});
+
+		afterEach(() => {
+			simple.restore();
+		});
+
+		it('should error if no schema registry is configured', async () => {
+			const result = await plugin.getFlowNode('producer').publish({
+				messages: [ { id: 1 } ],
+				topic: 'orders',
+				schemaId: 1
+			});
+
+			expect(result.output).to.equal('error');
+			expect(result.args[1]).to.have.property('message', 'Schema serialization requires schemaRegistry in the plugin configuration');
+		});
+
+		it('should send the encoded messages', async () => {
+			const result = await registryPlugin.getFlowNode('producer').publish({
+				messages: [ { id: 1 } ],
+				topic: 'orders',
+				schemaId: 7
+			});
+
+			expect(result.output).to.equal('next');
+			const { value } = registryProducer.send.lastCall.arg.messages[0];
+			expect(value.readInt32BE(1)).to.equal(7);
+			expect(JSON.parse(value.slice(5))).to.deep.equal({ id: 1 });
+		});
+
+		it('should route to invalid if a message does not match the schema', async () => {
+			const result = await registryPlugin.getFlowNode('producer').publish({
+				messages: [ { product: 'book' } ],
+				topic: 'orders',
+				schemaId: 7
+			});
+
+			expect(result.output).to.equal('invalid');
+			expect(result.args[1].message).to.match(/^Message 0 does not match schema 7/);
+			expect(registryProducer.send.callCount).to.equal(0);
+		});
+	});
+
+	describe('Publish transaction', () => {
+		let transaction;
+		let transactionalPlugin;
+		let transactionalProducer;
+
+		beforeEach(async () => {
+			transaction = {
+				sendBatch: simple.mock().resolveWith([ { topicName: 'orders', partition: 0, errorCode: 0 } ]),
+				commit: simple.mock().resolveWith(),
+				abort: simple.mock().resolveWith()
+			};
+			transactionalProducer = createMockedProducer();
+			transactionalProducer.transaction = simple.mock().resolveWith(transaction);
+			transactionalPlugin = await MockRuntime.loadPlugin(
+				mockKafka(transactionalProducer),
+				Object.assign({ transactionalId: 'orders-service' }, pluginConfig)
+			);
+		});
+
+		const batches = [
+			{ topic: 'orders', messages: 'order created', key: 'order-1' },
+			{ topic: 'audit', messages: [ 'order-1 created' ] }
+		];
+
+		it('should error if no transactionalId is configured', async () => {
+			const result = await plugin.getFlowNode('producer').publishTransaction({ batches });
+
 			expect(result.output).to.equal('error');
-			expect(result.args[1]).to.be.instanceOf(TypeError)
-				.and.to.have.property('message', 'Cannot destructure property \'brokers\' of \'undefined\' as it is undefined.');
+			expect(result.args[1]).to.have.property('message', 'Transactions require transactionalId in the plugin configuration');
+		});
+
+		it('should send all batches in one committed transaction', async () => {
+			const result = await transactionalPlugin.getFlowNode('producer').publishTransaction({ batches });
+
+			expect(result.output).to.equal('next');
+			expect(transaction.sendBatch.lastCall.arg).to.deep.equal({
+				topicMessages: [
+					{ topic: 'orders', messages: [ { value: 'order created', key: 'order-1' } ] },
+					{ topic: 'audit', messages: [ { value: 'order-1 created' } ] }
+				]
+			});
+			expect(transaction.commit.callCount).to.equal(1);
+			expect(transaction.abort.callCount).to.equal(0);
+		});
+
+		it('should abort the transaction if sending failed', async () => {
+			transaction.sendBatch = simple.mock().rejectWith(new Error('Not leader for partition'));
+
+			const result = await transactionalPlugin.getFlowNode('producer').publishTransaction({ batches });
+
+			expect(result.output).to.equal('error');
+			expect(result.args[1]).to.have.property('message',
+				'Error sending transaction to Kafka, the transaction was aborted: Error: Not leader for partition');
+			expect(transaction.abort.callCount).to.equal(1);
+			expect(transaction.commit.callCount).to.equal(0);
+		});
+
+		it('should route to abortFailed if the transaction could not be aborted', async () => {
+			const sendError = new Error('Not leader for partition');
+			transaction.sendBatch = simple.mock().rejectWith(sendError);
+			transaction.abort = simple.mock().rejectWith(new Error('Coordinator not available'));
+
+			const result = await transactionalPlugin.getFlowNode('producer').publishTransaction({ batches });
+
+			expect(result.output).to.equal('abortFailed');
+			expect(result.args[1]).to.have.property('message', 'Failed to abort transaction: Coordinator not available');
+			expect(result.args[1]).to.have.property('cause', sendError);
+		});
+	});
+
+	describe('Publish to dead letter', () => {
+		let dlqProducer;
+		let dlqPlugin;
+		const message = {
+			topic: 'orders',
+			partition: 2,
+			offset: '41',
+			key: 'order-1',
+			value: { id: 1 },
+			headers: { correlationId: 'abc' },
+			timestamp: '1600000000000'
+		};
+
+		beforeEach(async () => {
+			dlqProducer = createMockedProducer();
+			dlqPlugin = await MockRuntime.loadPlugin(mockKafka(dlqProducer), pluginConfig);
+		});
+
+		it('should send the message in an envelope with the error as headers', async () => {
+			const result = await dlqPlugin.getFlowNode('producer').publishToDeadLetter({
+				message,
+				error: { name: 'Error', message: 'Billing service unavailable' },
+				attempts: 3
+			});
+
+			expect(result.output).to.equal('next');
+			const { topic, messages: [ deadLetter ] } = dlqProducer.send.lastCall.arg;
+			expect(topic).to.equal('orders.dlq');
+			expect(deadLetter.key).to.equal('order-1');
+			const failedAt = deadLetter.headers['dlq-timestamp'];
+			expect(new Date(failedAt).toISOString()).to.equal(failedAt);
+			expect(deadLetter.headers).to.deep.equal({
+				'dlq-error-message': 'Billing service unavailable',
+				'dlq-source-topic': 'orders',
+				'dlq-attempt-count': '3',
+				'dlq-timestamp': failedAt
+			});
+			expect(JSON.parse(deadLetter.value)).to.deep.equal({
+				payload: { id: 1 },
+				key: 'order-1',
+				headers: { correlationId: 'abc' },
+				source: { topic: 'orders', partition: 2, offset: '41', timestamp: '1600000000000' },
+				error: { message: 'Billing service unavailable' },
+				attempts: 3,
+				failedAt
+			});
+		});
+
+		it('should use the configured dead-letter topic pattern', async () => {
+			const patternProducer = createMockedProducer();
+			const patternPlugin = await MockRuntime.loadPlugin(
+				mockKafka(patternProducer),
+				Object.assign({ deadLetterTopicPattern: 'dlq.{topic}.v1' }, pluginConfig)
+			);
+
+			await patternPlugin.getFlowNode('producer').publishToDeadLetter({
+				message: { value: 'raw' },
+				error: 'Invalid order',
+				sourceTopic: 'legacy-orders'
+			});
+
+			const { topic, messages: [ deadLetter ] } = patternProducer.send.lastCall.arg;
+			expect(topic).to.equal('dlq.legacy-orders.v1');
+			expect(deadLetter).to.not.have.property('key');
+			expect(deadLetter.headers['dlq-attempt-count']).to.equal('1');
+			expect(JSON.parse(deadLetter.value).error).to.deep.equal({ message: 'Invalid order' });
+		});
+
+		it('should error without source topic', async () => {
+			const result = await dlqPlugin.getFlowNode('producer').publishToDeadLetter({
+				message: { value: 'raw' },
+				error: 'Invalid order'
+			});
+
+			expect(result.output).to.equal('error');
+			expect(result.args[1]).to.have.property('message', 'Missing required parameter: sourceTopic');
+		});
+	});
+
+	describe('Batching', () => {
+		it('should send the messages of concurrent calls in one batch', async () => {
+			const batchingProducer = createMockedProducer();
+			batchingProducer.sendBatch = simple.mock().callFn(async ({ topicMessages }) => {
+				// kafkajs assigns the partitions with the configured partitioner
+				const partitioner = batchingProducer.options.createPartitioner();
+				const partitionMetadata = [ { partitionId: 0, leader: 0 } ];
+				topicMessages[0].messages.forEach((message) => partitioner({ topic: 'telemetry', partitionMetadata, message }));
+				return [ { topicName: 'telemetry', partition: 0, errorCode: 0, baseOffset: '10' } ];
+			});
+			const batchingPlugin = await MockRuntime.loadPlugin(
+				mockKafka(batchingProducer),
+				Object.assign({ batching: { enabled: true, lingerMs: 10 } }, pluginConfig)
+			);
+			const flowNode = batchingPlugin.getFlowNode('producer');
+
+			const results = await Promise.all([
+				flowNode.publish({ messages: 'first', topic: 'telemetry', compression: 'GZIP' }),
+				flowNode.publish({ messages: 'second', topic: 'telemetry', compression: 'GZIP' })
+			]);
+
+			expect(batchingProducer.send.callCount).to.equal(0);
+			expect(batchingProducer.sendBatch.callCount).to.equal(1);
+			expect(batchingProducer.sendBatch.lastCall.arg).to.deep.equal({
+				compression: CompressionTypes.GZIP,
+				topicMessages: [ { topic: 'telemetry', messages: [ { value: 'first' }, { value: 'second' } ] } ]
+			});
+			expect(results.map((result) => result.args[1])).to.deep.equal([
+				[ { topicName: 'telemetry', partition: 0, errorCode: 0, baseOffset: '10' } ],
+				[ { topicName: 'telemetry', partition: 0, errorCode: 0, baseOffset: '11' } ]
+			]);
+		});
+	});
+
+	describe('Startup', () => {
+		it('should fail to load if the brokers are not reachable', async () => {
+			const failingProducer = createMockedProducer();
+			failingProducer.connect = simple.mock().rejectWith(new Error('Connection error: ECONNREFUSED'));
+			const logger = { error: simple.mock() };
+
+			let error;
+			try {
+				await MockRuntime.loadPlugin(mockKafka(failingProducer), pluginConfig, { logger });
+			} catch (ex) {
+				error = ex;
+			}
+
+			expect(error).to.have.property('message', 'Connection error: ECONNREFUSED');
+			expect(logger.error.lastCall.arg).to.equal('Failed to connect to Kafka brokers: localhost:9092. Make sure Kafka is running and conf/kafka-producer.default.js is configured');
+		});
+
+		it('should fail to load with an unsupported compression codec', async () => {
+			let error;
+			try {
+				await MockRuntime.loadPlugin(mockKafka(createMockedProducer()),
+					Object.assign({ compressionCodecs: { Brotli: () => ({}) } }, pluginConfig));
+			} catch (ex) {
+				error = ex;
+			}
+
+			expect(error).to.have.property('message', 'Unsupported compression codec: Brotli');
+		});
+
+		it('should defer the connection in developer mode', async () => {
+			const lazyProducer = createMockedProducer();
+			lazyProducer.connect = simple.mock()
+				.rejectWith(new Error('Connection error: ECONNREFUSED'))
+				.resolveWith();
+			mock('@axway/api-builder-admin', {});
+			const logger = { error: simple.mock(), info: simple.mock() };
+
+			const lazyPlugin = await MockRuntime.loadPlugin(mockKafka(lazyProducer), pluginConfig, { logger });
+			const result = await lazyPlugin.getFlowNode('producer').publish({ messages: 'a test message', topic: 'test-topic' });
+			mock.stop('@axway/api-builder-admin');
+
+			expect(result.output).to.equal('next');
+			expect(lazyProducer.connect.callCount).to.equal(2);
+			expect(lazyProducer.send.callCount).to.equal(1);
+		});
+	});
+});
+
+describe('flow-node admin', () => {
+	let plugin;
+	let admin;
+
+	beforeEach(async () => {
+		admin = {
+			connect: simple.mock().resolveWith(),
+			listTopics: simple.mock().resolveWith([ 'orders', 'audit' ]),
+			createTopics: simple.mock().resolveWith(true),
+			deleteTopics: simple.mock().resolveWith(),
+			fetchTopicMetadata: simple.mock().resolveWith({
+				topics: [ { name: 'orders', partitions: [ { partitionId: 0, leader: 1, replicas: [ 1 ], isr: [ 1 ] } ] } ]
+			}),
+			describeConfigs: simple.mock().resolveWith({
+				resources: [ { configEntries: [ { configName: 'cleanup.policy', configValue: 'compact' } ] } ]
+			}),
+			fetchTopicOffsets: simple.mock().resolveWith([ { partition: 0, offset: '42', high: '42', low: '0' } ]),
+			describeGroups: simple.mock().resolveWith({ groups: [ { groupId: 'billing', state: 'Stable' } ] }),
+			fetchOffsets: simple.mock().resolveWith([ { partition: 0, offset: '40', metadata: null } ])
+		};
+		plugin = await MockRuntime.loadPlugin(mockKafka(createMockedProducer(), admin), pluginConfig);
+	});
+
+	afterEach(() => {
+		mock.stopAll();
+	});
+
+	it('should connect once on first use', async () => {
+		const flowNode = plugin.getFlowNode('admin');
+
+		const result = await flowNode.listTopics({});
+		await flowNode.listTopics({});
+
+		expect(result.output).to.equal('next');
+		expect(result.args[1]).to.deep.equal([ 'orders', 'audit' ]);
+		expect(admin.connect.callCount).to.equal(1);
+	});
+
+	it('should create a topic with partitions, replication and configs', async () => {
+		const result = await plugin.getFlowNode('admin').createTopic({
+			topic: 'tenant-1',
+			partitions: 3,
+			replicationFactor: 2,
+			configs: { 'cleanup.policy': 'compact', 'retention.ms': 86400000 }
+		});
+
+		expect(result.output).to.equal('next');
+		expect(result.args[1]).to.equal('tenant-1');
+		expect(admin.createTopics.lastCall.arg).to.deep.equal({
+			topics: [ {
+				topic: 'tenant-1',
+				numPartitions: 3,
+				replicationFactor: 2,
+				configEntries: [
+					{ name: 'cleanup.policy', value: 'compact' },
+					{ name: 'retention.ms', value: '86400000' }
+				]
+			} ]
+		});
+	});
+
+	it('should route to alreadyExists if the topic exists', async () => {
+		admin.createTopics = simple.mock().resolveWith(false);
+
+		const result = await plugin.getFlowNode('admin').createTopic({ topic: 'orders' });
+
+		expect(result.output).to.equal('alreadyExists');
+		expect(result.args[1]).to.equal('orders');
+	});
+
+	it('should error if the topic is missing', async () => {
+		const result = await plugin.getFlowNode('admin').createTopic({});
+
+		expect(result.output).to.equal('error');
+		expect(result.args[1]).to.have.property('message', 'Missing required parameter: topic');
+	});
+
+	it('should delete a topic', async () => {
+		const result = await plugin.getFlowNode('admin').deleteTopic({ topic: 'orders' });
+
+		expect(result.output).to.equal('next');
+		expect(admin.deleteTopics.lastCall.arg).to.deep.equal({ topics: [ 'orders' ] });
+	});
+
+	it('should describe a topic', async () => {
+		const result = await plugin.getFlowNode('admin').describeTopic({ topic: 'orders' });
+
+		expect(result.output).to.equal('next');
+		expect(result.args[1]).to.deep.equal({
+			name: 'orders',
+			partitions: [ { partitionId: 0, leader: 1, replicas: [ 1 ], isr: [ 1 ] } ],
+			configs: { 'cleanup.policy': 'compact' }
+		});
+	});
+
+	it('should fetch topic offsets', async () => {
+		const result = await plugin.getFlowNode('admin').fetchTopicOffsets({ topic: 'orders' });
+
+		expect(result.output).to.equal('next');
+		expect(result.args[1]).to.deep.equal([ { partition: 0, offset: '42', high: '42', low: '0' } ]);
+	});
+
+	it('should fetch consumer group offsets', async () => {
+		const result = await plugin.getFlowNode('admin').fetchGroupOffsets({ groupId: 'billing', topic: 'orders' });
+
+		expect(result.output).to.equal('next');
+		expect(result.args[1]).to.deep.equal([ { partition: 0, offset: '40', metadata: null } ]);
+		expect(admin.fetchOffsets.lastCall.arg).to.deep.equal({ groupId: 'billing', topic: 'orders' });
+	});
+
+	it('should route to notFound if the consumer group does not exist', async () => {
+		admin.describeGroups = simple.mock().resolveWith({ groups: [ { groupId: 'unknown', state: 'Dead' } ] });
+
+		const result = await plugin.getFlowNode('admin').fetchGroupOffsets({ groupId: 'unknown', topic: 'orders' });
+
+		expect(result.output).to.equal('notFound');
+		expect(result.args[1]).to.equal('unknown');
+	});
+
+	[ 'deleteTopic', 'describeTopic', 'fetchTopicOffsets' ].forEach((method) => {
+		it(`should route ${method} to notFound if the topic does not exist`, async () => {
+			const result = await plugin.getFlowNode('admin')[method]({ topic: 'unknown', groupId: 'billing' });
+
+			expect(result.output).to.equal('notFound');
+			expect(result.args[1]).to.equal('unknown');
 		});
 	});
 });
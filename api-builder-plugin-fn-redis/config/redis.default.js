@@ -6,6 +6,41 @@ module.exports = {
 			host: process.env.REDIS_HOST, // Redis server location
 			port: parseInt(process.env.REDIS_PORT) || 6379, // Redis server port
 			password: process.env.REDIS_PASSWORD, // Password for the Redis connection
+			db: parseInt(process.env.REDIS_DB) || 0, // Redis database index
+			// Alternatively connect using a URL which takes precedence over host, port, password and db,
+			// e.g. redis://:password@localhost:6379/0 or rediss://... to connect using TLS
+			url: process.env.REDIS_URL,
+			// Set to true to connect using TLS or provide options for tls.connect(),
+			// e.g. { ca: fs.readFileSync('ca.pem'), servername: 'redis.example.com' }
+			tls: process.env.REDIS_TLS === 'true',
+			// Connect to a Redis Sentinel deployment instead of host and port
+			// sentinel: {
+			// 	name: 'mymaster', // Name of the master group
+			// 	sentinels: [ { host: 'localhost', port: 26379 } ],
+			// 	password: process.env.REDIS_SENTINEL_PASSWORD // Password for the sentinels
+			// },
+			// Connect to a Redis Cluster instead of host and port. Only database 0 is supported.
+			// cluster: {
+			// 	nodes: [ { host: 'localhost', port: 7000 }, { host: 'localhost', port: 7001 } ]
+			// },
+			// Reconnect with exponential backoff when the connection to Redis is lost.
+			// The initial connection on startup is never retried.
+			reconnect: {
+				enabled: true,
+				initialDelay: 100, // Delay in milliseconds before the first reconnect attempt, doubled with every attempt
+				maxDelay: 10000, // Maximum delay in milliseconds between reconnect attempts
+				maxAttempts: 0, // Maximum number of reconnect attempts, 0 for unlimited
+				maxRetryTime: 60000 // Maximum total time in milliseconds to reconnect, 0 for unlimited
+			},
+			// When true, commands issued while disconnected are queued and sent once reconnected.
+			// Otherwise they fail immediately.
+			enableOfflineQueue: true,
+			// Flows to invoke for each message published on a channel or a channel matching a pattern.
+			// The flow is invoked with { channel, pattern, message }. Set parseJson to parse the message as JSON.
+			subscriptions: [
+				// { channel: 'cache-invalidation', flow: 'InvalidateCache' },
+				// { pattern: 'tenant:*', flow: 'TenantEvent', parseJson: true }
+			],
 			registerHooks: true // When true register callbacks to be excuted on runtime lifecycle events
 		}
 	}
@@ -1,11 +1,226 @@
+const crypto = require('crypto');
 const createRedisClient = require('./redis-client');
+const { getRuntime } = require('./utils');
+
+// Prefix written by `set` in front of JSON encoded values when the type
+// marker is enabled, so `get` knows to parse them back.
+const JSON_MARKER = '\u0000json:';
+
+// Values other than String or Date are stored as JSON.
+function serializeValue(value, typeMarker) {
+	if (typeof value !== 'string' && !(value instanceof Date)) {
+		const json = JSON.stringify(value);
+		return typeMarker ? `${JSON_MARKER}${json}` : json;
+	}
+	return value;
+}
+
+// Returns `{ value }` for the stored value, parsed when it carries the type
+// marker or when `parseJson` is set. Returns `{ parseError }` if the value
+// can't be parsed.
+function deserializeValue(stored, parseJson) {
+	const marked = stored.startsWith(JSON_MARKER);
+	const raw = marked ? stored.substring(JSON_MARKER.length) : stored;
+	if (!marked && !parseJson) {
+		return { value: raw };
+	}
+	try {
+		return { value: JSON.parse(raw) };
+	} catch (ex) {
+		return { parseError: ex, value: raw };
+	}
+}
+
+// Decodes a value read from a hash, list, set or stream the same way as
+// `get`. Values that can't be parsed are returned as stored.
+function decodeValue(stored, parseJson) {
+	return typeof stored === 'string' ? deserializeValue(stored, parseJson).value : stored;
+}
+
+function validateKey(key) {
+	if (!key) {
+		throw new Error('Missing required parameter: key');
+	}
+	if (typeof key !== 'string') {
+		throw new Error('\'key\' must be a string.');
+	}
+}
+
+function validateKeys(keys) {
+	if (!keys) {
+		throw new Error('Missing required parameter: keys');
+	}
+	if (!Array.isArray(keys) || keys.length === 0) {
+		throw new Error('\'keys\' must be a non-empty array of strings.');
+	}
+	keys.forEach(validateKey);
+}
+
+// Accepts either a single value or a non-empty array of values for the
+// parameter `name` and returns them as serialized array.
+function toValueList(value, name, typeMarker) {
+	if (value === undefined || value === null) {
+		throw new Error(`Missing required parameter: ${name}`);
+	}
+	const values = Array.isArray(value) ? value : [ value ];
+	if (values.length === 0) {
+		throw new Error(`'${name}' must not be empty.`);
+	}
+	return values.map((item) => serializeValue(item, typeMarker));
+}
+
+// Deletes the lock only if it is still held with the given token, so an
+// instance can't release a lock which has expired and was acquired by another.
+const RELEASE_LOCK_SCRIPT = `
+if redis.call("get", KEYS[1]) == ARGV[1] then
+	return redis.call("del", KEYS[1])
+else
+	return 0
+end`;
+
+// Sets `now` to the time of the Redis server in milliseconds, so all
+// instances use the same clock. Before Redis 5, scripts calling TIME have to
+// replicate their effects instead of the script to be allowed to write.
+const SERVER_TIME = `
+redis.replicate_commands()
+local time = redis.call("time")
+local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)`;
+
+// Fixed window: counts requests in a key that expires with the window.
+// Returns the count, the remaining time of the window in milliseconds and
+// the server time.
+const FIXED_WINDOW_SCRIPT = `${SERVER_TIME}
+local count = redis.call("incr", KEYS[1])
+if count == 1 then
+	redis.call("pexpire", KEYS[1], ARGV[1])
+end
+return { count, redis.call("pttl", KEYS[1]), now }`;
+
+// Sliding window log: keeps a sorted set of request timestamps and drops
+// those older than the window. Returns if the request is allowed, the count,
+// the timestamp of the oldest request within the window and the server time.
+const SLIDING_WINDOW_SCRIPT = `${SERVER_TIME}
+local window = tonumber(ARGV[1])
+redis.call("zremrangebyscore", KEYS[1], 0, now - window)
+local count = redis.call("zcard", KEYS[1])
+local allowed = 0
+if count < tonumber(ARGV[2]) then
+	redis.call("zadd", KEYS[1], now, now .. "-" .. ARGV[3])
+	count = count + 1
+	allowed = 1
+end
+redis.call("pexpire", KEYS[1], window)
+local oldest = redis.call("zrange", KEYS[1], 0, 0, "WITHSCORES")
+return { allowed, count, oldest[2], now }`;
+
+// Connections used by blocking reads at most, further blocking reads wait
+// for a connection to be released
+const MAX_BLOCKING_CLIENTS = 10;
+
+// Connections kept for blocking reads when they are not in use
+const MAX_IDLE_BLOCKING_CLIENTS = 5;
+
+// Computations of `cached` in progress by key, so concurrent misses within
+// this instance share one flow invocation.
+const pendingComputations = new Map();
+
+function sleep(ms) {
+	return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
 // Reconnects to Redis in case the flow-node has been registered
-// with inactive connection - usually developer mode.
+// with inactive connection - usually developer mode - or the client
+// gave up to reconnect after the connection was lost. Concurrent calls
+// share the connection being created.
 async function ensureClient(options) {
-	if (!options.pluginContext && !options.pluginContext.redisClient) {
-		options.pluginContext.redisClient = await createRedisClient(options);
+	const { pluginContext } = options;
+	const { redisClient, clients } = pluginContext;
+	if (redisClient && !redisClient.isClosed()) {
+		return;
+	}
+	if (!pluginContext.pendingConnection) {
+		options.logger.info('Creating a new connection to Redis server');
+		if (redisClient && clients) {
+			clients.delete(redisClient);
+		}
+		pluginContext.pendingConnection = createRedisClient({
+			pluginConfig: options.pluginConfig,
+			logger: options.logger,
+			clients
+		}).then((client) => {
+			pluginContext.redisClient = client;
+		}).finally(() => {
+			pluginContext.pendingConnection = null;
+		});
+	}
+	await pluginContext.pendingConnection;
+}
+
+// Blocking reads hold their connection until messages arrive, so each one
+// uses a connection of its own to not delay the commands of other flows or
+// other blocking reads. Connections are kept for the next blocking reads,
+// up to MAX_IDLE_BLOCKING_CLIENTS. Once MAX_BLOCKING_CLIENTS connections are
+// in use, blocking reads wait for one of them.
+function getBlockingClients(pluginContext) {
+	if (!pluginContext.blockingClients) {
+		pluginContext.blockingClients = { idle: [], size: 0, waiting: [] };
+	}
+	return pluginContext.blockingClients;
+}
+
+async function acquireBlockingClient(options) {
+	const pool = getBlockingClients(options.pluginContext);
+	while (pool.idle.length) {
+		const client = pool.idle.pop();
+		if (!client.isClosed()) {
+			return client;
+		}
+		pool.size--;
 	}
+	if (pool.size >= MAX_BLOCKING_CLIENTS) {
+		return new Promise((resolve) => pool.waiting.push(resolve));
+	}
+	pool.size++;
+	try {
+		return await options.pluginContext.redisClient.duplicate();
+	} catch (ex) {
+		pool.size--;
+		throw ex;
+	}
+}
+
+async function releaseBlockingClient(options, client) {
+	const pool = getBlockingClients(options.pluginContext);
+	const next = pool.waiting.shift();
+	if (client.isClosed()) {
+		pool.size--;
+		if (next) {
+			next(acquireBlockingClient(options));
+		}
+	} else if (next) {
+		next(client);
+	} else if (pool.idle.length < MAX_IDLE_BLOCKING_CLIENTS) {
+		pool.idle.push(client);
+	} else {
+		pool.size--;
+		await client.quit();
+	}
+}
+
+// Maps stream entries `[ id, [ field, value, ... ] ]` to `{ id, fields }`.
+// Pending entries that were deleted since are read as `[ id, null ]` and
+// mapped to `{ id, fields: null }`.
+function toStreamEntries(reply, parseJson) {
+	return (reply || []).map(([ id, values ]) => {
+		if (!values) {
+			return { id, fields: null };
+		}
+		const fields = {};
+		for (let i = 0; i < values.length; i += 2) {
+			fields[values[i]] = decodeValue(values[i + 1], parseJson);
+		}
+		return { id, fields };
+	});
 }
 
 /**
@@ -43,9 +258,7 @@ async function set(params, options) {
 	if (!value) {
 		throw new Error('Missing required parameter: value');
 	}
-	if (typeof value !== 'string' && !(value instanceof Date)) {
-		value = JSON.stringify(value);
-	}
+	value = serializeValue(value, params.typeMarker);
 	
 	let result;
 	if (expiremilliseconds) {
@@ -92,10 +305,1024 @@ async function get(params, options) {
 		return options.setOutput('noResult', '');
 	} else {
 		options.logger.info(`Successfully got a result from Redis cache for key: ${key}`);
-		return result;
+		const { value, parseError } = deserializeValue(result, params.parseJson);
+		if (parseError) {
+			options.logger.error(`Failed to parse value from Redis cache for key: ${key} as JSON: ${parseError.message}`);
+			return options.setOutput('parseError', value);
+		}
+		return value;
+	}
+}
+
+/**
+ * Deletes one or more keys from Redis.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} [params.key] - The key to delete.
+ * @param {string[]} [params.keys] - Multiple keys to delete.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {number} The number of deleted keys, or "notFound" output when
+ *	 none of the keys existed.
+ */
+async function del(params, options) {
+	await ensureClient(options);
+	const { key, keys } = params;
+	if (!key && !keys) {
+		throw new Error('Missing required parameter: key or keys');
+	}
+	const toDelete = keys ? keys : [ key ];
+	validateKeys(toDelete);
+
+	const result = await options.pluginContext.redisClient.del(toDelete);
+	if (!result) {
+		options.logger.info(`No keys deleted from Redis cache for: ${toDelete.join(', ')}`);
+		return options.setOutput('notFound', 0);
+	}
+	options.logger.info(`Deleted ${result} key(s) from Redis cache`);
+	return result;
+}
+
+/**
+ * Checks if a key exists in Redis.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key to check.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {boolean} true, or false on the "notFound" output.
+ */
+async function exists(params, options) {
+	await ensureClient(options);
+	const key = params.key;
+	validateKey(key);
+
+	const result = await options.pluginContext.redisClient.exists(key);
+	if (!result) {
+		options.logger.info(`Key: ${key} does not exist in Redis cache`);
+		return options.setOutput('notFound', false);
+	}
+	return true;
+}
+
+/**
+ * Sets the time-to-live of an existing key, either in seconds (EXPIRE) or
+ * in milliseconds (PEXPIRE).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key to expire.
+ * @param {number} [params.expireseconds] - The time-to-live in seconds.
+ * @param {number} [params.expiremilliseconds] - The time-to-live in
+ *	 milliseconds. Takes precedence over `expireseconds`.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {boolean} true, or false on the "notFound" output.
+ */
+async function expire(params, options) {
+	await ensureClient(options);
+	const { key, expireseconds, expiremilliseconds } = params;
+	validateKey(key);
+	if (expireseconds === undefined && expiremilliseconds === undefined) {
+		throw new Error('Missing required parameter: expireseconds or expiremilliseconds');
+	}
+
+	let result;
+	if (expiremilliseconds !== undefined) {
+		options.logger.info(`Expire Redis cache key: ${key} in ${expiremilliseconds} milliseconds`);
+		result = await options.pluginContext.redisClient.pexpire(key, expiremilliseconds);
+	} else {
+		options.logger.info(`Expire Redis cache key: ${key} in ${expireseconds} seconds`);
+		result = await options.pluginContext.redisClient.expire(key, expireseconds);
+	}
+	if (!result) {
+		return options.setOutput('notFound', false);
+	}
+	return true;
+}
+
+/**
+ * Gets the remaining time-to-live of a key, either in seconds (TTL) or
+ * in milliseconds (PTTL).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key to inspect.
+ * @param {boolean} [params.milliseconds] - Return the time-to-live in
+ *	 milliseconds instead of seconds.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {number} The remaining time-to-live. Routes to "noExpiry" when
+ *	 the key has no time-to-live and "notFound" when the key does not exist.
+ */
+async function ttl(params, options) {
+	await ensureClient(options);
+	const { key, milliseconds } = params;
+	validateKey(key);
+
+	const redisClient = options.pluginContext.redisClient;
+	const result = milliseconds ? await redisClient.pttl(key) : await redisClient.ttl(key);
+	// Redis returns -2 if the key does not exist and -1 if the key exists
+	// but has no associated expire.
+	if (result === -2) {
+		return options.setOutput('notFound', result);
+	}
+	if (result === -1) {
+		return options.setOutput('noExpiry', result);
+	}
+	return result;
+}
+
+async function changeBy(command, params, options) {
+	await ensureClient(options);
+	const key = params.key;
+	const amount = params.amount === undefined ? 1 : params.amount;
+	validateKey(key);
+	if (!Number.isInteger(amount)) {
+		throw new Error('\'amount\' must be an integer.');
+	}
+	return options.pluginContext.redisClient[command](key, amount);
+}
+
+/**
+ * Increments the number stored at key (INCRBY). A missing key is set to 0
+ * before performing the operation.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key to increment.
+ * @param {number} [params.amount=1] - The amount to increment by.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {number} The value of key after the increment.
+ */
+async function incrBy(params, options) {
+	return changeBy('incrby', params, options);
+}
+
+/**
+ * Decrements the number stored at key (DECRBY). A missing key is set to 0
+ * before performing the operation.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key to decrement.
+ * @param {number} [params.amount=1] - The amount to decrement by.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {number} The value of key after the decrement.
+ */
+async function decrBy(params, options) {
+	return changeBy('decrby', params, options);
+}
+
+/**
+ * Gets the values of multiple keys with one call (MGET).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string[]} params.keys - The keys to retrieve.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {object} The values mapped by key, missing keys map to null.
+ *	 Routes to "noResult" when none of the keys exist.
+ */
+async function mget(params, options) {
+	await ensureClient(options);
+	const keys = params.keys;
+	validateKeys(keys);
+
+	const values = await options.pluginContext.redisClient.mget(keys);
+	const result = {};
+	let found = false;
+	keys.forEach((key, i) => {
+		result[key] = (values[i] === undefined || values[i] === null)
+			? null : deserializeValue(values[i]).value;
+		found = found || result[key] !== null;
+	});
+	if (!found) {
+		options.logger.info(`Got no result from Redis cache for keys: ${keys.join(', ')}`);
+		return options.setOutput('noResult', result);
+	}
+	return result;
+}
+
+/**
+ * Sets multiple keys with one call (MSET).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {object} params.values - The values to store mapped by key. Values
+ *	 are converted the same way as in `set`.
+ * @param {boolean} [params.typeMarker] - Stores values converted to JSON
+ *	 with a type marker, so `mget` returns them as objects again.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {string} The Redis reply.
+ */
+async function mset(params, options) {
+	await ensureClient(options);
+	const values = params.values;
+	if (!values) {
+		throw new Error('Missing required parameter: values');
+	}
+	if (typeof values !== 'object' || Array.isArray(values) || Object.keys(values).length === 0) {
+		throw new Error('\'values\' must be a non-empty object.');
+	}
+	const args = [];
+	for (const key of Object.keys(values)) {
+		if (values[key] === undefined || values[key] === null) {
+			throw new Error(`Missing value for key: ${key}`);
+		}
+		args.push(key, serializeValue(values[key], params.typeMarker));
+	}
+	options.logger.info(`Set to Redis cache with keys: ${Object.keys(values).join(', ')}`);
+	return options.pluginContext.redisClient.mset(args);
+}
+
+/**
+ * Sets one or more fields of a hash (HSET).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the hash.
+ * @param {object} params.fields - The values to store mapped by field.
+ *	 Values are converted the same way as in `set`.
+ * @param {boolean} [params.typeMarker] - Stores values converted to JSON
+ *	 with a type marker, so `hget` and `hgetall` return them as objects again.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {number} The number of fields that were added.
+ */
+async function hset(params, options) {
+	await ensureClient(options);
+	const { key, fields } = params;
+	validateKey(key);
+	if (!fields) {
+		throw new Error('Missing required parameter: fields');
+	}
+	if (typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+		throw new Error('\'fields\' must be a non-empty object.');
+	}
+	const args = [];
+	for (const field of Object.keys(fields)) {
+		args.push(field, serializeValue(fields[field], params.typeMarker));
+	}
+	options.logger.info(`Set hash fields: ${Object.keys(fields).join(', ')} for key: ${key}`);
+	return options.pluginContext.redisClient.hset(key, args);
+}
+
+/**
+ * Gets the value of a hash field (HGET).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the hash.
+ * @param {string} params.field - The field to retrieve.
+ * @param {boolean} [params.parseJson] - Parses the value as JSON. Values
+ *	 stored with a type marker are always parsed.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {*} The value, or "noResult" output when the field or hash
+ *	 does not exist.
+ */
+async function hget(params, options) {
+	await ensureClient(options);
+	const { key, field } = params;
+	validateKey(key);
+	if (!field) {
+		throw new Error('Missing required parameter: field');
+	}
+
+	const result = await options.pluginContext.redisClient.hget(key, field);
+	if (result === null || result === undefined) {
+		options.logger.info(`Got no result from Redis cache for key: ${key} and field: ${field}`);
+		return options.setOutput('noResult', '');
+	}
+	return decodeValue(result, params.parseJson);
+}
+
+/**
+ * Gets all fields and values of a hash (HGETALL).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the hash.
+ * @param {boolean} [params.parseJson] - Parses the values as JSON. Values
+ *	 stored with a type marker are always parsed.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {object} The values mapped by field, or "noResult" output when
+ *	 the hash does not exist.
+ */
+async function hgetall(params, options) {
+	await ensureClient(options);
+	const key = params.key;
+	validateKey(key);
+
+	const result = await options.pluginContext.redisClient.hgetall(key);
+	if (!result || Object.keys(result).length === 0) {
+		options.logger.info(`Got no result from Redis cache for key: ${key}`);
+		return options.setOutput('noResult', {});
+	}
+	const values = {};
+	Object.keys(result).forEach((field) => {
+		values[field] = decodeValue(result[field], params.parseJson);
+	});
+	return values;
+}
+
+/**
+ * Deletes one or more fields from a hash (HDEL).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the hash.
+ * @param {string|string[]} params.fields - The field(s) to delete.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {number} The number of deleted fields, or "notFound" output when
+ *	 none of the fields existed.
+ */
+async function hdel(params, options) {
+	await ensureClient(options);
+	const key = params.key;
+	validateKey(key);
+	const fields = toValueList(params.fields, 'fields');
+
+	const result = await options.pluginContext.redisClient.hdel(key, fields);
+	if (!result) {
+		return options.setOutput('notFound', 0);
+	}
+	return result;
+}
+
+async function push(command, params, options) {
+	await ensureClient(options);
+	const key = params.key;
+	validateKey(key);
+	const values = toValueList(params.values, 'values', params.typeMarker);
+	return options.pluginContext.redisClient[command](key, values);
+}
+
+/**
+ * Prepends one or more values to a list (LPUSH).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the list.
+ * @param {*} params.values - A value or an array of values to prepend.
+ *	 Values are converted the same way as in `set`.
+ * @param {boolean} [params.typeMarker] - Stores values converted to JSON
+ *	 with a type marker, so `lpop` and `lrange` return them as objects again.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {number} The length of the list after the push.
+ */
+async function lpush(params, options) {
+	return push('lpush', params, options);
+}
+
+/**
+ * Appends one or more values to a list (RPUSH).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the list.
+ * @param {*} params.values - A value or an array of values to append.
+ *	 Values are converted the same way as in `set`.
+ * @param {boolean} [params.typeMarker] - Stores values converted to JSON
+ *	 with a type marker, so `lpop` and `lrange` return them as objects again.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {number} The length of the list after the push.
+ */
+async function rpush(params, options) {
+	return push('rpush', params, options);
+}
+
+/**
+ * Removes and returns the first element of a list (LPOP).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the list.
+ * @param {boolean} [params.parseJson] - Parses the element as JSON. Values
+ *	 stored with a type marker are always parsed.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {*} The first element, or "noResult" output when the list
+ *	 is empty or does not exist.
+ */
+async function lpop(params, options) {
+	await ensureClient(options);
+	const key = params.key;
+	validateKey(key);
+
+	const result = await options.pluginContext.redisClient.lpop(key);
+	if (result === null || result === undefined) {
+		return options.setOutput('noResult', '');
+	}
+	return decodeValue(result, params.parseJson);
+}
+
+/**
+ * Gets a range of elements of a list (LRANGE).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the list.
+ * @param {number} [params.start=0] - The start index.
+ * @param {number} [params.stop=-1] - The stop index (inclusive). Negative
+ *	 values count from the end of the list.
+ * @param {boolean} [params.parseJson] - Parses the elements as JSON. Values
+ *	 stored with a type marker are always parsed.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {Array} The elements in the range.
+ */
+async function lrange(params, options) {
+	await ensureClient(options);
+	const { key, start = 0, stop = -1 } = params;
+	validateKey(key);
+	const values = await options.pluginContext.redisClient.lrange(key, start, stop);
+	return (values || []).map((value) => decodeValue(value, params.parseJson));
+}
+
+/**
+ * Adds one or more members to a set (SADD).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the set.
+ * @param {*} params.members - A member or an array of members to add.
+ *	 Members are converted the same way as values in `set`.
+ * @param {boolean} [params.typeMarker] - Stores members converted to JSON
+ *	 with a type marker, so `smembers` returns them as objects again.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {number} The number of members that were added.
+ */
+async function sadd(params, options) {
+	await ensureClient(options);
+	const key = params.key;
+	validateKey(key);
+	const members = toValueList(params.members, 'members', params.typeMarker);
+	return options.pluginContext.redisClient.sadd(key, members);
+}
+
+/**
+ * Gets all members of a set (SMEMBERS).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the set.
+ * @param {boolean} [params.parseJson] - Parses the members as JSON. Values
+ *	 stored with a type marker are always parsed.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {Array} The members of the set.
+ */
+async function smembers(params, options) {
+	await ensureClient(options);
+	const key = params.key;
+	validateKey(key);
+	const members = await options.pluginContext.redisClient.smembers(key);
+	return (members || []).map((member) => decodeValue(member, params.parseJson));
+}
+
+/**
+ * Checks if a value is a member of a set (SISMEMBER).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the set.
+ * @param {*} params.member - The member to check.
+ * @param {boolean} [params.typeMarker] - Set when the members were added
+ *	 with a type marker.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {boolean} true, or false on the "notFound" output.
+ */
+async function sismember(params, options) {
+	await ensureClient(options);
+	const { key, member } = params;
+	validateKey(key);
+	if (member === undefined || member === null) {
+		throw new Error('Missing required parameter: member');
+	}
+
+	const result = await options.pluginContext.redisClient.sismember(key, serializeValue(member, params.typeMarker));
+	if (!result) {
+		return options.setOutput('notFound', false);
+	}
+	return true;
+}
+
+/**
+ * Adds members with their scores to a sorted set (ZADD).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the sorted set.
+ * @param {object} params.members - The scores mapped by member.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {number} The number of members that were added.
+ */
+async function zadd(params, options) {
+	await ensureClient(options);
+	const { key, members } = params;
+	validateKey(key);
+	if (!members) {
+		throw new Error('Missing required parameter: members');
+	}
+	if (typeof members !== 'object' || Array.isArray(members) || Object.keys(members).length === 0) {
+		throw new Error('\'members\' must be a non-empty object.');
+	}
+	const args = [];
+	for (const member of Object.keys(members)) {
+		if (typeof members[member] !== 'number') {
+			throw new Error(`Score for member: ${member} must be a number.`);
+		}
+		args.push(members[member], member);
+	}
+	return options.pluginContext.redisClient.zadd(key, args);
+}
+
+/**
+ * Gets a range of members of a sorted set ordered by score (ZRANGE).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the sorted set.
+ * @param {number} [params.start=0] - The start index.
+ * @param {number} [params.stop=-1] - The stop index (inclusive).
+ * @param {boolean} [params.withScores] - Return the members along with
+ *	 their scores.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {Array} The members, or a list of `{ member, score }` objects
+ *	 when `withScores` is set.
+ */
+async function zrange(params, options) {
+	await ensureClient(options);
+	const { key, start = 0, stop = -1, withScores } = params;
+	validateKey(key);
+
+	const redisClient = options.pluginContext.redisClient;
+	if (!withScores) {
+		return redisClient.zrange(key, start, stop);
+	}
+	// The reply is a flat list of member, score pairs.
+	const reply = await redisClient.zrange(key, start, stop, 'WITHSCORES');
+	const result = [];
+	for (let i = 0; i < reply.length; i += 2) {
+		result.push({ member: reply[i], score: parseFloat(reply[i + 1]) });
+	}
+	return result;
+}
+
+/**
+ * Gets the score of a member of a sorted set (ZSCORE).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the sorted set.
+ * @param {string} params.member - The member to get the score for.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {number} The score, or "noResult" output when the member or
+ *	 sorted set does not exist.
+ */
+async function zscore(params, options) {
+	await ensureClient(options);
+	const { key, member } = params;
+	validateKey(key);
+	if (member === undefined || member === null) {
+		throw new Error('Missing required parameter: member');
+	}
+
+	const result = await options.pluginContext.redisClient.zscore(key, member);
+	if (result === null || result === undefined) {
+		return options.setOutput('noResult', null);
+	}
+	return parseFloat(result);
+}
+
+/**
+ * Acquires a distributed lock using SET NX PX with a random token. The token
+ * is needed to release the lock again.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the lock.
+ * @param {number} params.ttl - The time in milliseconds after which the lock
+ *	 is released automatically.
+ * @param {number} [params.retries=0] - How often to retry if the lock is held
+ *	 by someone else.
+ * @param {number} [params.retryDelay=100] - The delay in milliseconds before
+ *	 the first retry. It is doubled with every further retry.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {object} The lock `{ key, token }`, or "notAcquired" output when
+ *	 the lock could not be acquired.
+ */
+async function acquireLock(params, options) {
+	await ensureClient(options);
+	const { key, ttl, retries = 0, retryDelay = 100 } = params;
+	validateKey(key);
+	if (!ttl) {
+		throw new Error('Missing required parameter: ttl');
+	}
+	if (!Number.isInteger(ttl) || ttl <= 0) {
+		throw new Error('\'ttl\' must be a positive integer.');
+	}
+
+	const token = crypto.randomBytes(16).toString('hex');
+	for (let attempt = 0; attempt <= retries; attempt++) {
+		if (attempt > 0) {
+			await sleep(retryDelay * Math.pow(2, attempt - 1));
+		}
+		const result = await options.pluginContext.redisClient.set(key, token, 'PX', ttl, 'NX');
+		if (result === 'OK') {
+			options.logger.info(`Acquired lock: ${key}`);
+			return { key, token };
+		}
+	}
+	options.logger.info(`Failed to acquire lock: ${key} after ${retries + 1} attempt(s)`);
+	return options.setOutput('notAcquired', key);
+}
+
+/**
+ * Releases a distributed lock acquired with `acquireLock`. The lock is only
+ * deleted if it is still held with the given token.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the lock.
+ * @param {string} params.token - The token returned by `acquireLock`.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {boolean} true, or false on the "notReleased" output when the lock
+ *	 has expired or is held with another token.
+ */
+async function releaseLock(params, options) {
+	await ensureClient(options);
+	const { key, token } = params;
+	validateKey(key);
+	if (!token) {
+		throw new Error('Missing required parameter: token');
+	}
+
+	const result = await options.pluginContext.redisClient.eval(RELEASE_LOCK_SCRIPT, 1, key, token);
+	if (!result) {
+		options.logger.info(`Lock: ${key} not released as it is not held with the given token`);
+		return options.setOutput('notReleased', false);
+	}
+	options.logger.info(`Released lock: ${key}`);
+	return true;
+}
+
+/**
+ * Counts a request against a quota stored in Redis. Supports the algorithms
+ * `fixed` (fixed window counter) and `sliding` (sliding window log).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the quota, e.g. per client.
+ * @param {number} params.limit - The maximum number of requests per window.
+ * @param {number} params.window - The window in milliseconds.
+ * @param {string} [params.algorithm=fixed] - Either `fixed` or `sliding`.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {object} `{ key, limit, remaining, reset }` where `reset` is the
+ *	 time in milliseconds since epoch when the next request will be
+ *	 allowed again. Routes to "allowed" or "limited".
+ */
+async function rateLimit(params, options) {
+	await ensureClient(options);
+	const { key, limit, window, algorithm = 'fixed' } = params;
+	validateKey(key);
+	if (!limit) {
+		throw new Error('Missing required parameter: limit');
+	}
+	if (!Number.isInteger(limit) || limit <= 0) {
+		throw new Error('\'limit\' must be a positive integer.');
+	}
+	if (!window) {
+		throw new Error('Missing required parameter: window');
+	}
+	if (!Number.isInteger(window) || window <= 0) {
+		throw new Error('\'window\' must be a positive integer.');
+	}
+
+	// The scripts use the time of the Redis server, so the windows don't
+	// depend on the clocks of the instances sharing the quota
+	const redisClient = options.pluginContext.redisClient;
+	let allowed;
+	let count;
+	let now;
+	let reset;
+	if (algorithm === 'fixed') {
+		let ttl;
+		[ count, ttl, now ] = await redisClient.eval(FIXED_WINDOW_SCRIPT, 1, key, window);
+		allowed = count <= limit;
+		reset = now + (ttl > 0 ? ttl : window);
+	} else if (algorithm === 'sliding') {
+		// Makes the entries of requests within the same millisecond unique
+		const suffix = crypto.randomBytes(4).toString('hex');
+		let oldest;
+		[ allowed, count, oldest, now ] = await redisClient.eval(
+			SLIDING_WINDOW_SCRIPT, 1, key, window, limit, suffix);
+		allowed = allowed === 1;
+		reset = (oldest ? parseInt(oldest) : now) + window;
+	} else {
+		throw new Error(`Unsupported algorithm: ${algorithm}. Must be one of: fixed, sliding`);
+	}
+
+	const result = {
+		key,
+		limit,
+		remaining: Math.max(0, limit - count),
+		reset
+	};
+	if (!allowed) {
+		options.logger.info(`Rate limit of ${limit} exceeded for key: ${key}`);
+		return options.setOutput('limited', result);
+	}
+	return options.setOutput('allowed', result);
+}
+
+/**
+ * Publishes a message to a channel (PUBLISH).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.channel - The channel to publish to.
+ * @param {*} params.message - The message to publish. Messages are converted
+ *	 the same way as values in `set`.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {number} The number of clients that received the message.
+ */
+async function publish(params, options) {
+	await ensureClient(options);
+	const { channel, message } = params;
+	if (!channel) {
+		throw new Error('Missing required parameter: channel');
+	}
+	if (typeof channel !== 'string') {
+		throw new Error('\'channel\' must be a string.');
+	}
+	if (message === undefined || message === null) {
+		throw new Error('Missing required parameter: message');
+	}
+
+	const result = await options.pluginContext.redisClient.publish(channel, serializeValue(message));
+	options.logger.info(`Published message to Redis channel: ${channel} received by ${result} client(s)`);
+	return result;
+}
+
+/**
+ * Appends an entry to a stream (XADD).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the stream.
+ * @param {object} params.fields - The values of the entry mapped by field.
+ *	 Values are converted the same way as in `set`.
+ * @param {string} [params.id=*] - The id of the entry, generated by default.
+ * @param {number} [params.maxLength] - Trims the stream to approximately
+ *	 this number of entries.
+ * @param {boolean} [params.typeMarker] - Stores values converted to JSON
+ *	 with a type marker, so `xrange` and `xreadgroup` return them as objects
+ *	 again.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {string} The id of the added entry.
+ */
+async function xadd(params, options) {
+	await ensureClient(options);
+	const { key, fields, id = '*', maxLength } = params;
+	validateKey(key);
+	if (!fields) {
+		throw new Error('Missing required parameter: fields');
+	}
+	if (typeof fields !== 'object' || Array.isArray(fields) || Object.keys(fields).length === 0) {
+		throw new Error('\'fields\' must be a non-empty object.');
+	}
+	const args = [ key ];
+	if (maxLength) {
+		args.push('MAXLEN', '~', maxLength);
+	}
+	args.push(id);
+	for (const field of Object.keys(fields)) {
+		args.push(field, serializeValue(fields[field], params.typeMarker));
+	}
+	return options.pluginContext.redisClient.xadd(args);
+}
+
+/**
+ * Gets a range of entries of a stream (XRANGE).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the stream.
+ * @param {string} [params.start=-] - The id to start with, `-` for the first.
+ * @param {string} [params.end=+] - The id to end with, `+` for the last.
+ * @param {number} [params.count] - The maximum number of entries.
+ * @param {boolean} [params.parseJson] - Parses the field values as JSON. Values
+ *	 stored with a type marker are always parsed.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {object[]} The entries as `{ id, fields }`.
+ */
+async function xrange(params, options) {
+	await ensureClient(options);
+	const { key, start = '-', end = '+', count } = params;
+	validateKey(key);
+	const args = [ key, start, end ];
+	if (count) {
+		args.push('COUNT', count);
+	}
+	return toStreamEntries(await options.pluginContext.redisClient.xrange(args), params.parseJson);
+}
+
+/**
+ * Reads entries of a stream as a consumer of a consumer group (XREADGROUP).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the stream.
+ * @param {string} params.group - The consumer group.
+ * @param {string} params.consumer - The name of the consumer.
+ * @param {number} [params.count] - The maximum number of entries.
+ * @param {number} [params.block] - Waits up to this many milliseconds for
+ *	 new entries. Each blocking read uses a connection of its own.
+ * @param {string} [params.id=>] - `>` for entries never delivered to any
+ *	 consumer, or an id to read the pending entries of this consumer.
+ * @param {boolean} [params.createGroup] - Creates the consumer group (and
+ *	 the stream) if it does not exist.
+ * @param {boolean} [params.parseJson] - Parses the field values as JSON. Values
+ *	 stored with a type marker are always parsed.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {object[]} The entries as `{ id, fields }`, or "noMessages"
+ *	 output when there are none.
+ */
+async function xreadgroup(params, options) {
+	await ensureClient(options);
+	const { key, group, consumer, count, block, id = '>', createGroup } = params;
+	validateKey(key);
+	if (!group) {
+		throw new Error('Missing required parameter: group');
+	}
+	if (!consumer) {
+		throw new Error('Missing required parameter: consumer');
+	}
+
+	if (createGroup) {
+		try {
+			await options.pluginContext.redisClient.xgroup('CREATE', key, group, '$', 'MKSTREAM');
+			options.logger.info(`Created consumer group: ${group} for stream: ${key}`);
+		} catch (ex) {
+			// The group already exists
+			if (!/BUSYGROUP/.test(ex.message)) {
+				throw ex;
+			}
+		}
+	}
+	const args = [ 'GROUP', group, consumer ];
+	if (count) {
+		args.push('COUNT', count);
+	}
+	if (block) {
+		args.push('BLOCK', block);
+	}
+	args.push('STREAMS', key, id);
+
+	// The reply is a list of [ stream, entries ] or null when there are none
+	let reply;
+	if (block) {
+		const blockingClient = await acquireBlockingClient(options);
+		try {
+			reply = await blockingClient.xreadgroup(args);
+		} finally {
+			await releaseBlockingClient(options, blockingClient);
+		}
+	} else {
+		reply = await options.pluginContext.redisClient.xreadgroup(args);
+	}
+	const entries = reply && reply.length ? toStreamEntries(reply[0][1], params.parseJson) : [];
+	if (!entries.length) {
+		return options.setOutput('noMessages', []);
+	}
+	return entries;
+}
+
+/**
+ * Acknowledges entries of a stream read by a consumer group (XACK).
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the stream.
+ * @param {string} params.group - The consumer group.
+ * @param {string|string[]} params.ids - The id(s) of the entries.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {number} The number of acknowledged entries.
+ */
+async function xack(params, options) {
+	await ensureClient(options);
+	const { key, group } = params;
+	validateKey(key);
+	if (!group) {
+		throw new Error('Missing required parameter: group');
+	}
+	const ids = toValueList(params.ids, 'ids');
+	return options.pluginContext.redisClient.xack(key, group, ids);
+}
+
+// Returns `{ value }` if the key is cached, undefined otherwise.
+async function readCached(redisClient, key) {
+	const stored = await redisClient.get(key);
+	if (stored === null || stored === undefined) {
+		return;
+	}
+	const { value, parseError } = deserializeValue(stored);
+	return parseError ? undefined : { value };
+}
+
+// Invokes the flow and caches its result. Across instances only the holder of
+// the lock computes, the others wait for the value until `lockTimeout` elapsed.
+async function compute(server, params, options) {
+	const { key, ttl, flow, parameters = {}, lockTimeout = 10000 } = params;
+	const redisClient = options.pluginContext.redisClient;
+	const lockKey = `${key}:lock`;
+	const token = crypto.randomBytes(16).toString('hex');
+	const deadline = Date.now() + lockTimeout;
+
+	const invokeAndStore = async () => {
+		options.logger.info(`Computing value for key: ${key} using flow: ${flow}`);
+		const value = await server.flowManager.flow(flow, parameters, { logger: options.logger });
+		if (value !== undefined && value !== null) {
+			await redisClient.set(key, serializeValue(value, true), 'PX', ttl);
+		}
+		return value;
+	};
+
+	while (Date.now() < deadline) {
+		if (await redisClient.set(lockKey, token, 'PX', lockTimeout, 'NX') === 'OK') {
+			try {
+				// Another instance might have stored the value meanwhile
+				const cachedValue = await readCached(redisClient, key);
+				return cachedValue ? cachedValue.value : await invokeAndStore();
+			} finally {
+				await redisClient.eval(RELEASE_LOCK_SCRIPT, 1, lockKey, token);
+			}
+		}
+		await sleep(50);
+		const cachedValue = await readCached(redisClient, key);
+		if (cachedValue) {
+			return cachedValue.value;
+		}
+	}
+	options.logger.warn(`Timed out waiting for the lock of key: ${key}, computing without lock`);
+	return invokeAndStore();
+}
+
+/**
+ * Returns the cached value of a key, or invokes a flow on a cache miss and
+ * caches its result (cache-aside). Concurrent misses for the same key,
+ * within this and other instances, invoke the flow only once.
+ *
+ * @param {object} params - A map of all the parameters passed from the flow.
+ * @param {string} params.key - The key of the cached value.
+ * @param {number} params.ttl - The time-to-live of the cached value in
+ *	 milliseconds.
+ * @param {string} params.flow - The name of the flow to invoke on a miss.
+ * @param {object} [params.parameters] - The parameters to invoke the flow with.
+ * @param {number} [params.lockTimeout=10000] - The maximum time in
+ *	 milliseconds to wait for another instance computing the value.
+ * @param {object} options - The additional options provided from the flow
+ *	 engine.
+ * @return {*} The cached or computed value. Routes to "flowNotFound" when the
+ *	 flow does not exist.
+ */
+async function cached(params, options) {
+	await ensureClient(options);
+	const { key, ttl, flow } = params;
+	validateKey(key);
+	if (!ttl) {
+		throw new Error('Missing required parameter: ttl');
+	}
+	if (!Number.isInteger(ttl) || ttl <= 0) {
+		throw new Error('\'ttl\' must be a positive integer.');
+	}
+	if (!flow) {
+		throw new Error('Missing required parameter: flow');
+	}
+
+	const cachedValue = await readCached(options.pluginContext.redisClient, key);
+	if (cachedValue) {
+		options.logger.info(`Got cached value from Redis cache for key: ${key}`);
+		return cachedValue.value;
+	}
+	const server = getRuntime();
+	if (!server.getFlow(flow)) {
+		return options.setOutput('flowNotFound', `The flow with name: '${flow}' could not be found.`);
+	}
+	if (!pendingComputations.has(key)) {
+		const computation = compute(server, params, options);
+		pendingComputations.set(key, computation);
+		const done = () => pendingComputations.delete(key);
+		computation.then(done, done);
 	}
+	return pendingComputations.get(key);
 }
 
 module.exports = {
-	set, get
+	set, get, del, exists, expire, ttl, incrBy, decrBy, mget, mset,
+	hset, hget, hgetall, hdel,
+	lpush, rpush, lpop, lrange,
+	sadd, smembers, sismember,
+	zadd, zrange, zscore,
+	acquireLock, releaseLock,
+	rateLimit,
+	publish,
+	xadd, xrange, xreadgroup, xack,
+	cached
 };
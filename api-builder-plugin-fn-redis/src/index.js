@@ -1,5 +1,6 @@
-const { createPluginWithContext, isDeveloperMode } = require('./utils');
+const { createPluginWithContext, isDeveloperMode, registerRuntimeHooks } = require('./utils');
 const createRedisClient = require('./redis-client');
+const { keepSubscribed } = require('./subscriber');
 const actions = require('./actions');
 
 /**
@@ -7,26 +8,88 @@ const actions = require('./actions');
  * @returns {object} An API Builder plugin.
  */
 async function getPlugin(pluginConfig, options) {
+	// All connections created by the plugin, including the subscriber and
+	// the ones created by the actions, are closed when API Builder is stopping
+	const clients = new Set();
+	let subscription;
+	if (pluginConfig.registerHooks !== false) {
+		registerRuntimeHooks({
+			stopping: () => {
+				if (subscription) {
+					subscription.stop();
+				}
+				return closeClients(clients, options.logger);
+			}
+		});
+	}
+
 	let redisClient;
 	try {
+		// The subscriber is created again when it could not connect, so in
+		// development mode the subscriptions are made once Redis is running
+		if (pluginConfig.subscriptions && pluginConfig.subscriptions.length) {
+			subscription = keepSubscribed({
+				pluginConfig,
+				logger: options.logger,
+				clients
+			});
+		}
 		// In production we should be able to connect on startup
 		// in development mode we defer this until action is invoked
-		redisClient = await createRedisClient({
-			pluginConfig,
-			logger: options.logger
-		});
+		[ redisClient ] = await Promise.all([
+			createRedisClient({
+				pluginConfig,
+				logger: options.logger,
+				clients
+			}),
+			subscription && subscription.subscribed
+		]);
 	} catch (ex) {
 		options.logger.error(
-			`Failed to connect to Redis server: ${pluginConfig.host}:${pluginConfig.port}. Make sure Redis server is running and conf/redis.default.js is configured`
+			`Failed to connect to Redis server: ${describeConnection(pluginConfig)}. Make sure Redis server is running and conf/redis.default.js is configured`
 		);
 		if (!isDeveloperMode()) {
+			if (subscription) {
+				subscription.stop();
+			}
 			// In development mode we allow to defer the obtaining of successfull Redis connection.
 			// The promise is rejected only in production.
 			return Promise.reject(ex);
 		}
 	}
 	// All you pass here will be set as context for your actions
-	return createPluginWithContext(actions, { pluginContext: { redisClient }, pluginConfig });
+	return createPluginWithContext(actions, { pluginContext: { redisClient, clients }, pluginConfig });
+}
+
+/**
+ * Quits all open connections.
+ * @param {Set} clients - The connections of the plugin.
+ * @param {object} logger - The API Builder logger.
+ */
+async function closeClients(clients, logger) {
+	const open = [ ...clients ].filter((client) => !client.isClosed());
+	await Promise.all(open.map((client) => client.quit()));
+	logger.trace(`Redis clients quit!`);
+}
+
+/**
+ * Describes the configured Redis connection for log messages without
+ * exposing the password.
+ * @returns {string} The description.
+ */
+function describeConnection(pluginConfig) {
+	const address = ({ host, port }) => `${host}:${port}`;
+	if (pluginConfig.cluster) {
+		return `cluster ${pluginConfig.cluster.nodes.map(address).join(', ')}`;
+	}
+	if (pluginConfig.sentinel) {
+		const { name, sentinels } = pluginConfig.sentinel;
+		return `sentinel master ${name} via ${sentinels.map(address).join(', ')}`;
+	}
+	if (pluginConfig.url) {
+		return pluginConfig.url.replace(/\/\/[^@/]*@/, '//***@');
+	}
+	return address(pluginConfig);
 }
 
 module.exports = getPlugin;
@@ -1,41 +1,49 @@
 const { promisify } = require("util");
 const redis = require("redis");
-const { registerRuntimeHooks } = require('./utils');
+const Redis = require("ioredis");
 
-module.exports = async ({ pluginConfig, logger }) => {
+/**
+ * Connects to Redis.
+ *
+ * @param {object} pluginConfig the plugin configuration
+ * @param {object} logger the API Builder logger
+ * @param {Set} [clients] the connections of the plugin, the new connection
+ *	is added until it quits, so it can be closed when API Builder is stopping
+ * @return {object} the Redis interface, see `createInterface`
+ */
+module.exports = async function createRedisClient({ pluginConfig, logger, clients }) {
 	return new Promise((resolve, reject) => {
-		const redisClient = redis.createClient({
-			host: pluginConfig.host,
-			port: pluginConfig.port,
-			password: pluginConfig.password,
-			// This method is needed to override retry strategy
-			// if not specified the client tries to connect multiple times
-			retry_strategy: (options) => {
-				if (options.error && options.error.code === "ECONNREFUSED") {
-					// When connection can't be stablished just stop trying.
-					return new Error("The client can't establish connection to the Redis server");
-				}
-			}
-		});
+		const state = { ready: false, closed: false };
+		const retryStrategy = createRetryStrategy(pluginConfig, logger, state);
+		const redisClient = createClient(pluginConfig, retryStrategy);
 
 		// Register redisClient hooks
-		redisClient.on("error", reject);
+		redisClient.on("error", (err) => {
+			if (!state.ready) {
+				return reject(err);
+			}
+			// After the first successful connection errors are handled by the
+			// retry strategy, so only log them here.
+			logger.error(`Redis client error: ${err.message}`);
+		});
 		redisClient.on('connect', () => {
 			// 'ready' is emitted after 'connect' so just trace log here
 			// and resolve the promise in 'ready' handler
 			logger.info(`Connection to Redis server successful!`);
 		});
 		redisClient.on('ready', () => {
+			if (state.ready) {
+				logger.info(`Reconnected to Redis server!`);
+				return;
+			}
+			state.ready = true;
 			logger.trace(`Redis client is ready!`);
-			if (pluginConfig.registerHooks !== false) {
-				registerRuntimeHooks({
-					stopping: async () => {
-						await redisClient.quit();
-						logger.trace(`Redis client quit!`);
-					}
-				});
-			}			
-			return resolve(createInterface(redisClient));
+			const duplicate = () => createRedisClient({ pluginConfig, logger, clients });
+			const client = createInterface(redisClient, state, duplicate, clients);
+			if (clients) {
+				clients.add(client);
+			}
+			return resolve(client);
 		});
 		redisClient.on('end', function () {
 			// For some reason when we overide retry strategy 'end' is emitted
@@ -45,18 +53,175 @@ module.exports = async ({ pluginConfig, logger }) => {
 	});
 }
 
+/**
+ * Creates the reconnect strategy shared by all topologies. The initial
+ * connection is never retried, so a misconfigured plugin fails fast.
+ * Once connected, lost connections are retried with exponential backoff
+ * until `maxAttempts` or `maxRetryTime` is exceeded.
+ *
+ * @param {object} pluginConfig the plugin configuration
+ * @param {object} logger the API Builder logger
+ * @param {object} state the connection state, `closed` is set once the
+ *	client gives up
+ * @return {function} function that takes the attempt number (starting with
+ *	1) and returns the delay in milliseconds or null to stop retrying
+ */
+function createRetryStrategy(pluginConfig, logger, state) {
+	const {
+		enabled = true,
+		initialDelay = 100,
+		maxDelay = 10000,
+		maxAttempts = 0,
+		maxRetryTime = 60000
+	} = pluginConfig.reconnect || {};
+	let retryStartedAt;
+
+	return (attempt) => {
+		if (!state.ready || state.closed) {
+			// When connection can't be stablished just stop trying.
+			return null;
+		}
+		if (attempt === 1) {
+			retryStartedAt = Date.now();
+		}
+		const retryTime = Date.now() - retryStartedAt;
+		if (!enabled
+			|| (maxAttempts && attempt > maxAttempts)
+			|| (maxRetryTime && retryTime > maxRetryTime)) {
+			logger.error(`Giving up to reconnect to Redis server after ${attempt - 1} attempt(s) and ${retryTime} ms`);
+			state.closed = true;
+			return null;
+		}
+		const delay = Math.min(initialDelay * Math.pow(2, attempt - 1), maxDelay);
+		logger.warn(`Connection to Redis server lost. Reconnecting in ${delay} ms (attempt ${attempt})`);
+		return delay;
+	};
+}
+
+/**
+ * Creates the underlying Redis client for the configured topology. Sentinel
+ * and Cluster are served by ioredis, everything else by the redis package.
+ * Both provide the same callback style command API and events.
+ *
+ * @param {object} pluginConfig the plugin configuration
+ * @param {function} retryStrategy see `createRetryStrategy`
+ * @return {object} the Redis client
+ */
+function createClient(pluginConfig, retryStrategy) {
+	const tls = pluginConfig.tls === true ? {} : pluginConfig.tls || undefined;
+	// Commands issued while disconnected are queued and sent once reconnected
+	const enableOfflineQueue = pluginConfig.enableOfflineQueue !== false;
+
+	if (pluginConfig.cluster) {
+		if (pluginConfig.db) {
+			throw new Error('Redis Cluster only supports database 0');
+		}
+		return new Redis.Cluster(pluginConfig.cluster.nodes, {
+			clusterRetryStrategy: retryStrategy,
+			enableOfflineQueue,
+			redisOptions: {
+				password: pluginConfig.password,
+				tls
+			}
+		});
+	}
+	if (pluginConfig.sentinel) {
+		return new Redis({
+			name: pluginConfig.sentinel.name,
+			sentinels: pluginConfig.sentinel.sentinels,
+			sentinelPassword: pluginConfig.sentinel.password,
+			sentinelTLS: tls,
+			enableTLSForSentinelMode: !!tls,
+			password: pluginConfig.password,
+			db: pluginConfig.db,
+			tls,
+			enableOfflineQueue,
+			sentinelRetryStrategy: retryStrategy,
+			retryStrategy
+		});
+	}
+	return redis.createClient({
+		// Host, port, password and db given in the URL take precedence
+		url: pluginConfig.url,
+		host: pluginConfig.host,
+		port: pluginConfig.port,
+		password: pluginConfig.password,
+		db: pluginConfig.db,
+		tls,
+		enable_offline_queue: enableOfflineQueue,
+		// This method is needed to override retry strategy
+		// if not specified the client tries to connect multiple times
+		retry_strategy: (options) => {
+			const delay = retryStrategy(options.attempt);
+			if (delay === null) {
+				return new Error("The client can't establish connection to the Redis server");
+			}
+			return delay;
+		}
+	});
+}
+
 /**
  * The supported Redis interface. If you want to add more functions expose them here.
  * All available functions are described here: https://redis.io/commands
  *  
  * @param {object} redisClient the original Redis client interface
+ * @param {object} state the connection state
+ * @param {function} duplicate creates a new connection with the same
+ * 	configuration, e.g. for blocking commands
+ * @param {Set} [clients] the connections of the plugin
  * @return {object} interface that expose the async version of the currently
  * 	supported functions
  */
-function createInterface(redisClient) {
-	return {
+function createInterface(redisClient, state, duplicate, clients) {
+	const client = {
+		// True once the client gave up to reconnect or has quit
+		isClosed: () => state.closed,
+		duplicate,
 		get: promisify(redisClient.get).bind(redisClient),
 		set: promisify(redisClient.set).bind(redisClient),
-		quit: promisify(redisClient.quit).bind(redisClient)
-	}
+		del: promisify(redisClient.del).bind(redisClient),
+		exists: promisify(redisClient.exists).bind(redisClient),
+		expire: promisify(redisClient.expire).bind(redisClient),
+		pexpire: promisify(redisClient.pexpire).bind(redisClient),
+		ttl: promisify(redisClient.ttl).bind(redisClient),
+		pttl: promisify(redisClient.pttl).bind(redisClient),
+		incrby: promisify(redisClient.incrby).bind(redisClient),
+		decrby: promisify(redisClient.decrby).bind(redisClient),
+		mget: promisify(redisClient.mget).bind(redisClient),
+		mset: promisify(redisClient.mset).bind(redisClient),
+		hset: promisify(redisClient.hset).bind(redisClient),
+		hget: promisify(redisClient.hget).bind(redisClient),
+		hgetall: promisify(redisClient.hgetall).bind(redisClient),
+		hdel: promisify(redisClient.hdel).bind(redisClient),
+		lpush: promisify(redisClient.lpush).bind(redisClient),
+		rpush: promisify(redisClient.rpush).bind(redisClient),
+		lpop: promisify(redisClient.lpop).bind(redisClient),
+		lrange: promisify(redisClient.lrange).bind(redisClient),
+		sadd: promisify(redisClient.sadd).bind(redisClient),
+		smembers: promisify(redisClient.smembers).bind(redisClient),
+		sismember: promisify(redisClient.sismember).bind(redisClient),
+		zadd: promisify(redisClient.zadd).bind(redisClient),
+		zrange: promisify(redisClient.zrange).bind(redisClient),
+		zscore: promisify(redisClient.zscore).bind(redisClient),
+		eval: promisify(redisClient.eval).bind(redisClient),
+		xadd: promisify(redisClient.xadd).bind(redisClient),
+		xrange: promisify(redisClient.xrange).bind(redisClient),
+		xgroup: promisify(redisClient.xgroup).bind(redisClient),
+		xreadgroup: promisify(redisClient.xreadgroup).bind(redisClient),
+		xack: promisify(redisClient.xack).bind(redisClient),
+		publish: promisify(redisClient.publish).bind(redisClient),
+		subscribe: promisify(redisClient.subscribe).bind(redisClient),
+		psubscribe: promisify(redisClient.psubscribe).bind(redisClient),
+		// Used to listen to 'message' and 'pmessage' events of subscriptions
+		on: redisClient.on.bind(redisClient),
+		quit: () => {
+			state.closed = true;
+			if (clients) {
+				clients.delete(client);
+			}
+			return promisify(redisClient.quit).call(redisClient);
+		}
+	};
+	return client;
 }
\ No newline at end of file
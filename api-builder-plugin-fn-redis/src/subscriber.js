@@ -0,0 +1,132 @@
+const createRedisClient = require('./redis-client');
+const { getRuntime } = require('./utils');
+
+/**
+ * Subscribes to the channels and patterns configured in
+ * `pluginConfig.subscriptions` and invokes the configured flow for each
+ * message received.
+ *
+ * A subscription is an object `{ channel, flow }` or `{ pattern, flow }`.
+ * The flow is invoked with `{ channel, pattern, message }` where `pattern`
+ * is only set for pattern subscriptions. With `parseJson` set the message
+ * is parsed as JSON.
+ *
+ * A connection in subscriber mode can't issue other commands, so a dedicated
+ * connection is used.
+ *
+ * @param {object} pluginConfig the plugin configuration
+ * @param {object} logger the API Builder logger
+ * @param {Set} [clients] the connections of the plugin
+ * @return {object} the Redis interface of the subscriber connection
+ */
+async function createSubscriber({ pluginConfig, logger, clients }) {
+	const subscriptions = pluginConfig.subscriptions;
+	subscriptions.forEach(validateSubscription);
+
+	const subscriber = await createRedisClient({ pluginConfig, logger, clients });
+	subscriber.on('message', (channel, message) => {
+		subscriptions
+			.filter((subscription) => subscription.channel === channel)
+			.forEach((subscription) => invokeFlow(subscription, { channel, message }, logger));
+	});
+	subscriber.on('pmessage', (pattern, channel, message) => {
+		subscriptions
+			.filter((subscription) => subscription.pattern === pattern)
+			.forEach((subscription) => invokeFlow(subscription, { channel, pattern, message }, logger));
+	});
+
+	const channels = unique(subscriptions.map((subscription) => subscription.channel));
+	const patterns = unique(subscriptions.map((subscription) => subscription.pattern));
+	if (channels.length) {
+		await subscriber.subscribe(channels);
+		logger.info(`Subscribed to Redis channels: ${channels.join(', ')}`);
+	}
+	if (patterns.length) {
+		await subscriber.psubscribe(patterns);
+		logger.info(`Subscribed to Redis patterns: ${patterns.join(', ')}`);
+	}
+	return subscriber;
+}
+
+/**
+ * Creates the subscriber and creates it again when it could not connect or
+ * gave up reconnecting, so messages are received again once Redis is back.
+ * The subscriber is checked every `reconnect.maxDelay` milliseconds.
+ *
+ * @param {object} pluginConfig the plugin configuration
+ * @param {object} logger the API Builder logger
+ * @param {Set} [clients] the connections of the plugin
+ * @return {object} `{ subscribed, stop }` where `subscribed` is the promise
+ *	of the first subscriber and `stop` ends the checks
+ */
+function keepSubscribed({ pluginConfig, logger, clients }) {
+	pluginConfig.subscriptions.forEach(validateSubscription);
+	const { maxDelay = 10000 } = pluginConfig.reconnect || {};
+	let subscriber;
+	let pending;
+
+	const subscribe = () => {
+		if (subscriber && clients) {
+			clients.delete(subscriber);
+		}
+		pending = createSubscriber({ pluginConfig, logger, clients })
+			.then((client) => {
+				subscriber = client;
+			})
+			.finally(() => {
+				pending = null;
+			});
+		return pending;
+	};
+	const timer = setInterval(() => {
+		if (pending || (subscriber && !subscriber.isClosed())) {
+			return;
+		}
+		logger.info('Creating a new subscriber connection to Redis server');
+		subscribe().catch((ex) => logger.error(`Failed to subscribe to Redis server: ${ex.message}`));
+	}, maxDelay);
+	// The checks don't keep API Builder from exiting
+	timer.unref();
+
+	return {
+		subscribed: subscribe(),
+		stop: () => clearInterval(timer)
+	};
+}
+
+function validateSubscription(subscription) {
+	if (!subscription.flow) {
+		throw new Error('Missing required subscription option: flow');
+	}
+	if (!subscription.channel === !subscription.pattern) {
+		throw new Error(`Subscription for flow: ${subscription.flow} must define either channel or pattern`);
+	}
+}
+
+function unique(values) {
+	return values.filter((value, i) => value && values.indexOf(value) === i);
+}
+
+async function invokeFlow(subscription, input, logger) {
+	const flowName = subscription.flow;
+	try {
+		const server = getRuntime();
+		if (!server.getFlow(flowName)) {
+			logger.error(`The flow with name: '${flowName}' could not be found. Message on Redis channel: ${input.channel} is dropped.`);
+			return;
+		}
+		if (subscription.parseJson) {
+			try {
+				input.message = JSON.parse(input.message);
+			} catch (ex) {
+				logger.warn(`Message on Redis channel: ${input.channel} is not valid JSON and passed as string: ${ex.message}`);
+			}
+		}
+		await server.flowManager.flow(flowName, input, { logger });
+	} catch (ex) {
+		logger.error(`Flow: ${flowName} failed for message on Redis channel: ${input.channel}: ${ex.message}`);
+	}
+}
+
+module.exports = createSubscriber;
+module.exports.keepSubscribed = keepSubscribed;
@@ -1,6 +1,23 @@
 const path = require('path');
 const { SDK } = require('@axway/api-builder-sdk');
 
+/**
+ * Returns the running API Builder instance, e.g. to invoke flows.
+ */
+function getRuntime() {
+  let APIBuilder;
+  try {
+    APIBuilder = require('@axway/api-builder-runtime');
+  } catch (ex) {
+    throw new Error('Plugin is not loaded via an existing @axway/api-builder-runtime instance');
+  }
+  const instance = APIBuilder.getGlobal();
+  if (!instance) {
+    throw new Error('No @axway/api-builder-runtime instance');
+  }
+  return instance;
+}
+
 module.exports = {
   /** 
    * Standard way of creating plugin
@@ -34,20 +51,12 @@ module.exports = {
    *  event and value that refer to the function to register for that event.
    */
   registerRuntimeHooks: (hooks) => {
-    let APIBuilder;
-    try {
-      APIBuilder = require('@axway/api-builder-runtime');
-    } catch (ex) {
-      throw new Error('Plugin is not loaded via an existing @axway/api-builder-runtime instance');
-    }
-    const instance = APIBuilder.getGlobal();
-    if (!instance) {
-      throw new Error('No @axway/api-builder-runtime instance');
-    }
+    const instance = getRuntime();
     Object.keys(hooks).forEach((event) => {
       instance.on(event, hooks[event]);
     });    
   },
+  getRuntime,
   /**
    * Tests whether or not the API Builder application is in developer mode.  The test
    * is to check to see if @axway/api-builder-admin exists.
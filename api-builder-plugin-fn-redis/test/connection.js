@@ -1,6 +1,22 @@
 const { expect } = require('chai');
 const simple = require('simple-mock');
 const mock = require('mock-require');
+const EventEmitter = require('events');
+
+// Fake Redis client that emits 'ready' once created and accepts any command.
+function createFakeClient() {
+  const emitter = new EventEmitter();
+  emitter.quit = simple.mock().callbackWith(null, 'OK');
+  setImmediate(() => emitter.emit('ready'));
+  return new Proxy(emitter, {
+    get: (target, prop) => prop in target ? target[prop] : (...args) => {
+      const callback = args[args.length - 1];
+      if (typeof callback === 'function') {
+        setImmediate(() => callback(null, 'OK'));
+      }
+    }
+  });
+}
 
 describe('Redis Connection', () => {
   
@@ -22,6 +38,7 @@ describe('Redis Connection', () => {
     };
     const mockUtils = {
       isDeveloperMode: simple.mock().callFn(() => true),
+      registerRuntimeHooks: simple.mock(),
       createPluginWithContext: simple.mock()
     }
 		mock(
@@ -54,6 +71,7 @@ describe('Redis Connection', () => {
     };
     const mockUtils = {
       isDeveloperMode: simple.mock().callFn(() => false),
+      registerRuntimeHooks: simple.mock(),
       createPluginWithContext: simple.mock()
     }
 		mock(
@@ -77,4 +95,248 @@ describe('Redis Connection', () => {
       expect(ex).to.be.equal('Connection error');
     }
   });
-});
\ No newline at end of file
+
+  describe('# Topologies', () => {
+    const logger = {
+      info: simple.mock(),
+      trace: simple.mock()
+    };
+    let mockRedis;
+    let MockIORedis;
+
+    beforeEach(() => {
+      mockRedis = {
+        createClient: simple.mock().callFn(createFakeClient)
+      };
+      MockIORedis = simple.mock().callFn(createFakeClient);
+      MockIORedis.Cluster = simple.mock().callFn(createFakeClient);
+      mock('redis', mockRedis);
+      mock('ioredis', MockIORedis);
+    });
+
+    it('should connect using host, port, db and tls', async function () {
+      const createRedisClient = mock.reRequire('../src/redis-client');
+      const client = await createRedisClient({
+        pluginConfig: { host: 'myhost', port: 6380, password: 'secret', db: 2, tls: true, registerHooks: false },
+        logger
+      });
+      expect(client.get).to.be.a('function');
+      expect(mockRedis.createClient.callCount).to.equal(1);
+      expect(mockRedis.createClient.lastCall.arg).to.deep.include({
+        host: 'myhost', port: 6380, password: 'secret', db: 2, tls: {}
+      });
+      expect(MockIORedis.callCount).to.equal(0);
+    });
+
+    it('should connect using a url', async function () {
+      const createRedisClient = mock.reRequire('../src/redis-client');
+      await createRedisClient({
+        pluginConfig: { url: 'rediss://:secret@myhost:6380/1', registerHooks: false },
+        logger
+      });
+      expect(mockRedis.createClient.lastCall.arg).to.have.property('url', 'rediss://:secret@myhost:6380/1');
+    });
+
+    it('should connect using sentinel', async function () {
+      const createRedisClient = mock.reRequire('../src/redis-client');
+      const sentinels = [ { host: 'sentinel1', port: 26379 } ];
+      await createRedisClient({
+        pluginConfig: {
+          sentinel: { name: 'mymaster', sentinels, password: 'sentinelSecret' },
+          password: 'secret',
+          db: 1,
+          registerHooks: false
+        },
+        logger
+      });
+      expect(mockRedis.createClient.callCount).to.equal(0);
+      expect(MockIORedis.callCount).to.equal(1);
+      expect(MockIORedis.lastCall.arg).to.deep.include({
+        name: 'mymaster', sentinels, sentinelPassword: 'sentinelSecret', password: 'secret', db: 1
+      });
+    });
+
+    it('should connect using cluster', async function () {
+      const createRedisClient = mock.reRequire('../src/redis-client');
+      const nodes = [ { host: 'node1', port: 7000 }, { host: 'node2', port: 7001 } ];
+      await createRedisClient({
+        pluginConfig: { cluster: { nodes }, password: 'secret', tls: { servername: 'redis' }, registerHooks: false },
+        logger
+      });
+      expect(MockIORedis.Cluster.callCount).to.equal(1);
+      expect(MockIORedis.Cluster.lastCall.args[0]).to.deep.equal(nodes);
+      expect(MockIORedis.Cluster.lastCall.args[1].redisOptions).to.deep.equal({
+        password: 'secret', tls: { servername: 'redis' }
+      });
+    });
+
+    it('should reject cluster with a database other than 0', async function () {
+      const createRedisClient = mock.reRequire('../src/redis-client');
+      try {
+        await createRedisClient({
+          pluginConfig: { cluster: { nodes: [] }, db: 1, registerHooks: false },
+          logger
+        });
+        expect.fail('Unexpected');
+      } catch (ex) {
+        expect(ex.message).to.equal('Redis Cluster only supports database 0');
+      }
+    });
+
+    it('should not log the password of the url when connection is broken', async function () {
+      const options = {
+        logger: {
+          error: simple.mock()
+        }
+      };
+      mock('../src/redis-client', simple.mock().rejectWith('Connection error'));
+      mock('../src/utils', {
+        isDeveloperMode: () => true,
+        registerRuntimeHooks: simple.mock(),
+        createPluginWithContext: simple.mock()
+      });
+      const getPlugin = mock.reRequire('../src');
+      await getPlugin({ url: 'redis://:secret@myhost:6379' }, options);
+      expect(options.logger.error.firstCall.arg)
+        .to.equal('Failed to connect to Redis server: redis://***@myhost:6379. Make sure Redis server is running and conf/redis.default.js is configured');
+    });
+  });
+
+  describe('# Reconnect', () => {
+    let logger;
+    let mockRedis;
+
+    beforeEach(() => {
+      logger = {
+        info: simple.mock(),
+        trace: simple.mock(),
+        warn: simple.mock(),
+        error: simple.mock()
+      };
+      mockRedis = {
+        createClient: simple.mock().callFn(createFakeClient)
+      };
+      mock('redis', mockRedis);
+    });
+
+    async function connect(pluginConfig) {
+      const createRedisClient = mock.reRequire('../src/redis-client');
+      const client = await createRedisClient({
+        pluginConfig: Object.assign({ registerHooks: false }, pluginConfig),
+        logger
+      });
+      const options = mockRedis.createClient.lastCall.arg;
+      return { client, retryStrategy: options.retry_strategy, options };
+    }
+
+    it('should not retry the initial connection', function () {
+      mock.reRequire('../src/redis-client')({ pluginConfig: { registerHooks: false }, logger });
+      const retryStrategy = mockRedis.createClient.lastCall.arg.retry_strategy;
+      expect(retryStrategy({ attempt: 1 })).to.be.instanceOf(Error);
+    });
+
+    it('should reconnect with exponential backoff up to maxDelay', async function () {
+      const { client, retryStrategy } = await connect({
+        reconnect: { initialDelay: 100, maxDelay: 300 }
+      });
+      expect(retryStrategy({ attempt: 1 })).to.equal(100);
+      expect(retryStrategy({ attempt: 2 })).to.equal(200);
+      expect(retryStrategy({ attempt: 3 })).to.equal(300);
+      expect(logger.warn.callCount).to.equal(3);
+      expect(client.isClosed()).to.equal(false);
+    });
+
+    it('should give up after maxAttempts', async function () {
+      const { client, retryStrategy } = await connect({
+        reconnect: { maxAttempts: 2 }
+      });
+      expect(retryStrategy({ attempt: 1 })).to.be.a('number');
+      expect(retryStrategy({ attempt: 2 })).to.be.a('number');
+      expect(retryStrategy({ attempt: 3 })).to.be.instanceOf(Error);
+      expect(logger.error.lastCall.arg).to.match(/^Giving up to reconnect to Redis server after 2 attempt\(s\)/);
+      expect(client.isClosed()).to.equal(true);
+    });
+
+    it('should give up after maxRetryTime', async function () {
+      const { client, retryStrategy } = await connect({
+        reconnect: { maxRetryTime: 10 }
+      });
+      expect(retryStrategy({ attempt: 1 })).to.be.a('number');
+      await new Promise((resolve) => setTimeout(resolve, 20));
+      expect(retryStrategy({ attempt: 2 })).to.be.instanceOf(Error);
+      expect(client.isClosed()).to.equal(true);
+    });
+
+    it('should not reconnect when disabled', async function () {
+      const { client, retryStrategy } = await connect({
+        reconnect: { enabled: false }
+      });
+      expect(retryStrategy({ attempt: 1 })).to.be.instanceOf(Error);
+      expect(client.isClosed()).to.equal(true);
+    });
+
+    it('should configure the offline queue', async function () {
+      let { options } = await connect({});
+      expect(options.enable_offline_queue).to.equal(true);
+      ({ options } = await connect({ enableOfflineQueue: false }));
+      expect(options.enable_offline_queue).to.equal(false);
+    });
+  });
+
+  describe('# Shutdown', () => {
+    const logger = {
+      info: simple.mock(),
+      trace: simple.mock(),
+      error: simple.mock()
+    };
+    let fakeClients;
+    let mockUtils;
+
+    beforeEach(() => {
+      fakeClients = [];
+      mock('redis', {
+        createClient: simple.mock().callFn(() => {
+          const client = createFakeClient();
+          fakeClients.push(client);
+          return client;
+        })
+      });
+      mockUtils = {
+        isDeveloperMode: () => false,
+        registerRuntimeHooks: simple.mock(),
+        // Returns the context to be able to access the connections
+        createPluginWithContext: simple.mock().callFn((actions, { pluginContext }) => pluginContext)
+      };
+      mock('../src/utils', mockUtils);
+      mock.reRequire('../src/redis-client');
+      mock.reRequire('../src/subscriber');
+    });
+
+    it('should register the stopping hook once and quit all open connections', async function () {
+      const getPlugin = mock.reRequire('../src');
+      const pluginContext = await getPlugin({
+        host: 'myhost',
+        subscriptions: [ { channel: 'news', flow: 'News' } ]
+      }, { logger });
+      await pluginContext.redisClient.duplicate();
+      const closed = await pluginContext.redisClient.duplicate();
+      await closed.quit();
+
+      expect(mockUtils.registerRuntimeHooks.callCount).to.equal(1);
+      expect(fakeClients).to.have.lengthOf(4);
+      expect(pluginContext.clients.size).to.equal(3);
+
+      await mockUtils.registerRuntimeHooks.firstCall.arg.stopping();
+
+      expect(fakeClients.map((client) => client.quit.callCount)).to.deep.equal([ 1, 1, 1, 1 ]);
+      expect(pluginContext.clients.size).to.equal(0);
+    });
+
+    it('should not register the stopping hook when disabled', async function () {
+      const getPlugin = mock.reRequire('../src');
+      await getPlugin({ host: 'myhost', registerHooks: false }, { logger });
+
+      expect(mockUtils.registerRuntimeHooks.callCount).to.equal(0);
+    });
+  });
+});
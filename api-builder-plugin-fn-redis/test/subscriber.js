@@ -0,0 +1,212 @@
+const { expect } = require('chai');
+const simple = require('simple-mock');
+const mock = require('mock-require');
+
+describe('Redis Subscriber', () => {
+	let logger;
+	let server;
+	let subscriber;
+	let handlers;
+	let createRedisClient;
+
+	beforeEach(() => {
+		logger = {
+			info: simple.mock(),
+			warn: simple.mock(),
+			error: simple.mock()
+		};
+		server = {
+			getFlow: simple.mock().returnWith(true),
+			flowManager: {
+				flow: simple.mock().resolveWith('done')
+			}
+		};
+		handlers = {};
+		subscriber = {
+			on: simple.mock().callFn((event, handler) => {
+				handlers[event] = handler;
+			}),
+			subscribe: simple.mock().resolveWith('OK'),
+			psubscribe: simple.mock().resolveWith('OK'),
+			isClosed: simple.mock().returnWith(false)
+		};
+		createRedisClient = simple.mock().resolveWith(subscriber);
+		mock('@axway/api-builder-runtime', { getGlobal: () => server });
+		mock('../src/redis-client', createRedisClient);
+	});
+
+	afterEach(() => {
+		simple.restore();
+		mock.stopAll();
+	});
+
+	// Waits until the flows triggered by a message have been invoked
+	const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+	// Waits until the subscriber was created the given number of times
+	const subscribed = async (count) => {
+		while (createRedisClient.callCount < count) {
+			await new Promise((resolve) => setTimeout(resolve, 5));
+		}
+		await flush();
+	};
+
+	it('should subscribe to configured channels and patterns', async function () {
+		const createSubscriber = mock.reRequire('../src/subscriber');
+		await createSubscriber({
+			pluginConfig: {
+				subscriptions: [
+					{ channel: 'invalidation', flow: 'InvalidateCache' },
+					{ channel: 'invalidation', flow: 'AuditInvalidation' },
+					{ pattern: 'tenant:*', flow: 'TenantEvent' }
+				]
+			},
+			logger
+		});
+		expect(subscriber.subscribe.firstCall.arg).to.deep.equal([ 'invalidation' ]);
+		expect(subscriber.psubscribe.firstCall.arg).to.deep.equal([ 'tenant:*' ]);
+	});
+
+	it('should invoke the flow for each message on a channel', async function () {
+		const createSubscriber = mock.reRequire('../src/subscriber');
+		await createSubscriber({
+			pluginConfig: {
+				subscriptions: [
+					{ channel: 'invalidation', flow: 'InvalidateCache' },
+					{ channel: 'other', flow: 'Other' }
+				]
+			},
+			logger
+		});
+
+		handlers.message('invalidation', 'key123');
+		await flush();
+
+		expect(server.flowManager.flow.callCount).to.equal(1);
+		expect(server.flowManager.flow.firstCall.args[0]).to.equal('InvalidateCache');
+		expect(server.flowManager.flow.firstCall.args[1]).to.deep.equal({
+			channel: 'invalidation', message: 'key123'
+		});
+	});
+
+	it('should invoke the flow for each message matching a pattern', async function () {
+		const createSubscriber = mock.reRequire('../src/subscriber');
+		await createSubscriber({
+			pluginConfig: {
+				subscriptions: [ { pattern: 'tenant:*', flow: 'TenantEvent', parseJson: true } ]
+			},
+			logger
+		});
+
+		handlers.pmessage('tenant:*', 'tenant:abc', '{"event":"created"}');
+		await flush();
+
+		expect(server.flowManager.flow.firstCall.args[0]).to.equal('TenantEvent');
+		expect(server.flowManager.flow.firstCall.args[1]).to.deep.equal({
+			channel: 'tenant:abc', pattern: 'tenant:*', message: { event: 'created' }
+		});
+	});
+
+	it('should log an error when the flow does not exist', async function () {
+		server.getFlow = simple.mock().returnWith(undefined);
+		const createSubscriber = mock.reRequire('../src/subscriber');
+		await createSubscriber({
+			pluginConfig: {
+				subscriptions: [ { channel: 'invalidation', flow: 'Unknown' } ]
+			},
+			logger
+		});
+
+		handlers.message('invalidation', 'key123');
+		await flush();
+
+		expect(server.flowManager.flow.callCount).to.equal(0);
+		expect(logger.error.firstCall.arg).to.equal(
+			'The flow with name: \'Unknown\' could not be found. Message on Redis channel: invalidation is dropped.');
+	});
+
+	it('should log an error when the flow fails', async function () {
+		server.flowManager.flow = simple.mock().rejectWith(new Error('boom'));
+		const createSubscriber = mock.reRequire('../src/subscriber');
+		await createSubscriber({
+			pluginConfig: {
+				subscriptions: [ { channel: 'invalidation', flow: 'InvalidateCache' } ]
+			},
+			logger
+		});
+
+		handlers.message('invalidation', 'key123');
+		await flush();
+
+		expect(logger.error.firstCall.arg).to.equal(
+			'Flow: InvalidateCache failed for message on Redis channel: invalidation: boom');
+	});
+
+	it('should reject a subscription without channel or pattern', async function () {
+		const createSubscriber = mock.reRequire('../src/subscriber');
+		try {
+			await createSubscriber({
+				pluginConfig: { subscriptions: [ { flow: 'InvalidateCache' } ] },
+				logger
+			});
+			expect.fail('Unexpected');
+		} catch (ex) {
+			expect(ex.message).to.equal('Subscription for flow: InvalidateCache must define either channel or pattern');
+		}
+	});
+
+	it('should subscribe again once the subscriber gave up reconnecting', async function () {
+		const { keepSubscribed } = mock.reRequire('../src/subscriber');
+		const clients = new Set();
+		const subscription = keepSubscribed({
+			pluginConfig: {
+				subscriptions: [ { channel: 'invalidation', flow: 'InvalidateCache' } ],
+				reconnect: { maxDelay: 10 }
+			},
+			logger,
+			clients
+		});
+		await subscription.subscribed;
+		clients.add(subscriber);
+		subscriber.isClosed = simple.mock().returnWith(true);
+
+		await subscribed(2);
+		subscription.stop();
+
+		expect(subscriber.subscribe.callCount).to.equal(2);
+		expect(clients.size).to.equal(0);
+		expect(logger.info.lastCall.arg).to.equal('Subscribed to Redis channels: invalidation');
+	});
+
+	it('should subscribe once Redis is reachable after failing on startup', async function () {
+		let attempts = 0;
+		createRedisClient = simple.mock().callFn(async () => {
+			if (++attempts === 1) {
+				throw new Error('ECONNREFUSED');
+			}
+			return subscriber;
+		});
+		mock('../src/redis-client', createRedisClient);
+		const { keepSubscribed } = mock.reRequire('../src/subscriber');
+		const subscription = keepSubscribed({
+			pluginConfig: {
+				subscriptions: [ { channel: 'invalidation', flow: 'InvalidateCache' } ],
+				reconnect: { maxDelay: 10 }
+			},
+			logger
+		});
+		try {
+			await subscription.subscribed;
+			expect.fail('Unexpected');
+		} catch (ex) {
+			expect(ex.message).to.equal('ECONNREFUSED');
+		}
+
+		await subscribed(2);
+		await new Promise((resolve) => setTimeout(resolve, 30));
+		subscription.stop();
+
+		expect(createRedisClient.callCount).to.equal(2);
+		expect(subscriber.subscribe.callCount).to.equal(1);
+	});
+});
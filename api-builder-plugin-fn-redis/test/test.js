@@ -31,13 +31,48 @@ async function constructTestContext() {
 		logger: {
 			info: simple.mock(),
 			trace: simple.mock(),
+			warn: simple.mock(),
 			error: simple.mock()
 		}
 	};
 	const mockedRedisClient = {
+		isClosed: simple.mock().returnWith(false),
 		get: simple.mock().callFn(() => 'OK'),
-		set: simple.mock().callFn(() => 'OK')
+		set: simple.mock().callFn(() => 'OK'),
+		del: simple.mock().callFn((keys) => keys.length),
+		exists: simple.mock().callFn(() => 1),
+		expire: simple.mock().callFn(() => 1),
+		pexpire: simple.mock().callFn(() => 1),
+		ttl: simple.mock().callFn(() => 10),
+		pttl: simple.mock().callFn(() => 10000),
+		incrby: simple.mock().callFn(() => 5),
+		decrby: simple.mock().callFn(() => 3),
+		mget: simple.mock().callFn((keys) => keys.map(() => 'OK')),
+		mset: simple.mock().callFn(() => 'OK'),
+		hset: simple.mock().callFn((key, args) => args.length / 2),
+		hget: simple.mock().callFn(() => 'OK'),
+		hgetall: simple.mock().callFn(() => ({ field1: 'value1' })),
+		hdel: simple.mock().callFn((key, fields) => fields.length),
+		lpush: simple.mock().callFn((key, values) => values.length),
+		rpush: simple.mock().callFn((key, values) => values.length),
+		lpop: simple.mock().callFn(() => 'OK'),
+		lrange: simple.mock().callFn(() => ['value1', 'value2']),
+		sadd: simple.mock().callFn((key, members) => members.length),
+		smembers: simple.mock().callFn(() => ['member1']),
+		sismember: simple.mock().callFn(() => 1),
+		zadd: simple.mock().callFn((key, args) => args.length / 2),
+		zrange: simple.mock().callFn(() => ['player1', '100', 'player2', '200.5']),
+		zscore: simple.mock().callFn(() => '100'),
+		eval: simple.mock().callFn(() => 1),
+		publish: simple.mock().callFn(() => 1),
+		xadd: simple.mock().callFn(() => '1-0'),
+		xrange: simple.mock().callFn(() => [['1-0', ['field1', 'value1']], ['2-0', ['field1', 'value2', 'field2', 'x']]]),
+		xgroup: simple.mock().callFn(() => 'OK'),
+		xreadgroup: simple.mock().callFn(() => [['stream', [['1-0', ['field1', 'value1']]]]]),
+		xack: simple.mock().callFn((key, group, ids) => ids.length)
 	}
+	// Blocking reads use a duplicated connection
+	mockedRedisClient.duplicate = simple.mock().resolveWith(mockedRedisClient);
 	if (isUnitTest()) {
 		mock(
 			'../src/redis-client', 
@@ -105,6 +140,20 @@ describe('Redis flow-node', () => {
 			expect(actions).to.be.an('object');
 			expect(actions.get).to.be.a('function');
 			expect(actions.set).to.be.a('function');
+			expect(actions.del).to.be.a('function');
+			expect(actions.exists).to.be.a('function');
+			expect(actions.expire).to.be.a('function');
+			expect(actions.ttl).to.be.a('function');
+			expect(actions.incrBy).to.be.a('function');
+			expect(actions.decrBy).to.be.a('function');
+			expect(actions.mget).to.be.a('function');
+			expect(actions.mset).to.be.a('function');
+			['hset', 'hget', 'hgetall', 'hdel', 'lpush', 'rpush', 'lpop', 'lrange',
+				'sadd', 'smembers', 'sismember', 'zadd', 'zrange', 'zscore',
+				'acquireLock', 'releaseLock', 'rateLimit', 'publish',
+				'xadd', 'xrange', 'xreadgroup', 'xack', 'cached'].forEach((method) => {
+				expect(actions[method]).to.be.a('function');
+			});
 		});
 
 		it('should define valid flow-nodes', function () {
@@ -113,6 +162,36 @@ describe('Redis flow-node', () => {
 		});
 	});
 
+	describe('# Connection on demand', () => {
+		it('should share one new connection between concurrent calls', async function () {
+			if (!isUnitTest()) {
+				return this.skip();
+			}
+			const newClient = { isClosed: () => false, exists: simple.mock().resolveWith(1) };
+			const createRedisClient = simple.mock().callFn(() => new Promise((resolve) => setImmediate(() => resolve(newClient))));
+			mock('../src/redis-client', createRedisClient);
+			const { exists } = mock.reRequire('../src/actions');
+			const closedClient = { isClosed: () => true };
+			const clients = new Set([ closedClient ]);
+			const options = {
+				pluginConfig: {},
+				pluginContext: { redisClient: closedClient, clients },
+				logger: { info: simple.mock() }
+			};
+
+			const results = await Promise.all([ exists({ key: 'a' }, options), exists({ key: 'b' }, options) ]);
+
+			expect(results).to.deep.equal([ true, true ]);
+			expect(createRedisClient.callCount).to.equal(1);
+			expect(options.pluginContext.redisClient).to.equal(newClient);
+			expect(newClient.exists.callCount).to.equal(2);
+			expect(clients.has(closedClient)).to.equal(false);
+
+			await exists({ key: 'c' }, options);
+			expect(createRedisClient.callCount).to.equal(1);
+		});
+	});
+
 	describe('# Get data from Redis', () => {
 		it('should error when missing parameter key', async function () {
 			const { flowNode } = this;
@@ -154,6 +233,68 @@ describe('Redis flow-node', () => {
 			expect(output).to.equal('noResult');
 			expect(value).to.deep.equal('');
 		});
+
+		it('should parse the value when parseJson is set', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.get = simple.mock().resolveWith('{"prop1":"value1"}');
+			} else {
+				await flowNode.set({ key: 'jsonKey', value: '{"prop1":"value1"}' });
+			}
+
+			const { value, output } = await flowNode.get({ key: 'jsonKey', parseJson: true });
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal({ prop1: 'value1' });
+		});
+
+		it('should end with parseError for a value that is not valid JSON', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.get = simple.mock().resolveWith('not json');
+			} else {
+				await flowNode.set({ key: 'jsonKey', value: 'not json' });
+			}
+
+			const { value, output } = await flowNode.get({ key: 'jsonKey', parseJson: true });
+
+			expect(output).to.equal('parseError');
+			expect(value).to.equal('not json');
+		});
+
+		it('should return objects stored with type marker as objects', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			const testObject = { prop1: 'value1', prop2: [1, 2] };
+			if (isUnitTest()) {
+				// Route the value written by set back to get
+				let stored;
+				mockedRedisClient.set = simple.mock().callFn((key, value) => {
+					stored = value;
+					return 'OK';
+				});
+				mockedRedisClient.get = simple.mock().callFn(() => stored);
+			}
+			await flowNode.set({ key: 'markedKey', value: testObject, typeMarker: true });
+
+			const { value, output } = await flowNode.get({ key: 'markedKey' });
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal(testObject);
+		});
+
+		it('should not parse plain strings without parseJson', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.get = simple.mock().resolveWith('{"prop1":"value1"}');
+			} else {
+				await flowNode.set({ key: 'jsonKey', value: '{"prop1":"value1"}' });
+			}
+
+			const { value, output } = await flowNode.get({ key: 'jsonKey' });
+
+			expect(output).to.equal('next');
+			expect(value).to.equal('{"prop1":"value1"}');
+		});
 	});
 
 	describe('# Set data to Redis', () => {
@@ -232,6 +373,25 @@ describe('Redis flow-node', () => {
 			expect(value).to.deep.equal('OK');
 		});
 
+		it('should store objects with a type marker when typeMarker is set', async function () {
+			const { flowNode, mockedRedisClient } = this;
+
+			const { value, output } = await flowNode.set({
+				key: 'objectKey',
+				value: { prop1: 'value1' },
+				typeMarker: true
+			});
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.set.firstCall.args).to.deep.equal([
+					'objectKey',
+					'\u0000json:' + JSON.stringify({ prop1: 'value1' })
+				]);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal('OK');
+		});
+
 		it('should succeed using a value with type: Array', async function () {
 			const { flowNode, mockedRedisClient } = this;
 
@@ -288,6 +448,1291 @@ describe('Redis flow-node', () => {
 				.and.to.have.property('message', '\'key\' must be a string.');
 		});
 	});
+
+	describe('# Delete keys from Redis', () => {
+		it('should error when missing parameters key and keys', async function () {
+			const { flowNode } = this;
+
+			const { value, callCount, output } = await flowNode.del({});
+
+			expect(callCount).to.equal(1);
+			expect(output).to.equal('error');
+			expect(value).to.be.instanceOf(Object)
+				.and.to.have.property('message', 'Missing required parameter: key or keys');
+		});
+
+		it('should delete a single key', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.set({ key: 'delKey', value: 'OK' });
+			}
+
+			const { value, callCount, output } = await flowNode.del({ key: 'delKey' });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.del.callCount).to.equal(1);
+				expect(mockedRedisClient.del.firstCall.args).to.deep.equal([['delKey']]);
+			}
+			expect(callCount).to.equal(1);
+			expect(output).to.equal('next');
+			expect(value).to.equal(1);
+		});
+
+		it('should delete multiple keys', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.mset({ values: { delKey1: 'OK', delKey2: 'OK' } });
+			}
+
+			const { value, output } = await flowNode.del({ keys: ['delKey1', 'delKey2'] });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.del.firstCall.args).to.deep.equal([['delKey1', 'delKey2']]);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal(2);
+		});
+
+		it('should end with notFound for an unknown key', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.del = simple.mock().resolveWith(0);
+			}
+
+			const { value, output } = await flowNode.del({ key: 'UNKNOWN' });
+
+			expect(output).to.equal('notFound');
+			expect(value).to.equal(0);
+		});
+	});
+
+	describe('# Check key exists in Redis', () => {
+		it('should end with next for an existing key', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.set({ key: 'existsKey', value: 'OK' });
+			}
+
+			const { value, output } = await flowNode.exists({ key: 'existsKey' });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.exists.firstCall.arg).to.equal('existsKey');
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal(true);
+		});
+
+		it('should end with notFound for an unknown key', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.exists = simple.mock().resolveWith(0);
+			}
+
+			const { value, output } = await flowNode.exists({ key: 'UNKNOWN' });
+
+			expect(output).to.equal('notFound');
+			expect(value).to.equal(false);
+		});
+	});
+
+	describe('# Expire and TTL', () => {
+		it('should error when missing parameter expireseconds or expiremilliseconds', async function () {
+			const { flowNode } = this;
+
+			const { value, output } = await flowNode.expire({ key: 'key123' });
+
+			expect(output).to.equal('error');
+			expect(value).to.be.instanceOf(Object)
+				.and.to.have.property('message', 'Missing required parameter: expireseconds or expiremilliseconds');
+		});
+
+		it('should expire a key in seconds', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.set({ key: 'expireKey', value: 'OK' });
+			}
+
+			const { value, output } = await flowNode.expire({ key: 'expireKey', expireseconds: 10 });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.expire.firstCall.args).to.deep.equal(['expireKey', 10]);
+				expect(mockedRedisClient.pexpire.callCount).to.equal(0);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal(true);
+		});
+
+		it('should expire a key in milliseconds', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.set({ key: 'expireKey', value: 'OK' });
+			}
+
+			const { value, output } = await flowNode.expire({ key: 'expireKey', expiremilliseconds: 10000 });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.pexpire.firstCall.args).to.deep.equal(['expireKey', 10000]);
+				expect(mockedRedisClient.expire.callCount).to.equal(0);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal(true);
+		});
+
+		it('should end with notFound when expiring an unknown key', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.expire = simple.mock().resolveWith(0);
+			}
+
+			const { value, output } = await flowNode.expire({ key: 'UNKNOWN', expireseconds: 10 });
+
+			expect(output).to.equal('notFound');
+			expect(value).to.equal(false);
+		});
+
+		it('should get the ttl in milliseconds', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.set({ key: 'ttlKey', value: 'OK', expiremilliseconds: 10000 });
+			}
+
+			const { value, output } = await flowNode.ttl({ key: 'ttlKey', milliseconds: true });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.pttl.firstCall.arg).to.equal('ttlKey');
+			}
+			expect(output).to.equal('next');
+			expect(value).to.be.above(0).and.to.be.at.most(10000);
+		});
+
+		it('should end with noExpiry for a key without ttl', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.ttl = simple.mock().resolveWith(-1);
+			} else {
+				await flowNode.set({ key: 'ttlKey', value: 'OK' });
+			}
+
+			const { value, output } = await flowNode.ttl({ key: 'ttlKey' });
+
+			expect(output).to.equal('noExpiry');
+			expect(value).to.equal(-1);
+		});
+
+		it('should end with notFound for the ttl of an unknown key', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.ttl = simple.mock().resolveWith(-2);
+			}
+
+			const { value, output } = await flowNode.ttl({ key: 'UNKNOWN' });
+
+			expect(output).to.equal('notFound');
+			expect(value).to.equal(-2);
+		});
+	});
+
+	describe('# Increment and decrement', () => {
+		it('should increment by 1 by default', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.set({ key: 'counter', value: '4' });
+			}
+
+			const { value, output } = await flowNode.incrBy({ key: 'counter' });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.incrby.firstCall.args).to.deep.equal(['counter', 1]);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal(5);
+		});
+
+		it('should decrement by the given amount', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.set({ key: 'counter', value: '5' });
+			}
+
+			const { value, output } = await flowNode.decrBy({ key: 'counter', amount: 2 });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.decrby.firstCall.args).to.deep.equal(['counter', 2]);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal(3);
+		});
+
+		it('should error when amount is not an integer', async function () {
+			const { flowNode } = this;
+
+			const { value, output } = await flowNode.incrBy({ key: 'counter', amount: 1.5 });
+
+			expect(output).to.equal('error');
+			expect(value).to.be.instanceOf(Object)
+				.and.to.have.property('message', '\'amount\' must be an integer.');
+		});
+	});
+
+	describe('# Get and set multiple keys', () => {
+		it('should error when keys is empty', async function () {
+			const { flowNode } = this;
+
+			const { value, output } = await flowNode.mget({ keys: [] });
+
+			expect(output).to.equal('error');
+			expect(value).to.be.instanceOf(Object)
+				.and.to.have.property('message', '\'keys\' must be a non-empty array of strings.');
+		});
+
+		it('should get multiple keys mapped by key', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.mget = simple.mock().resolveWith(['OK', null]);
+			} else {
+				await flowNode.set({ key: 'mgetKey', value: 'OK' });
+				await flowNode.del({ key: 'UNKNOWN' });
+			}
+
+			const { value, output } = await flowNode.mget({ keys: ['mgetKey', 'UNKNOWN'] });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.mget.firstCall.args).to.deep.equal([['mgetKey', 'UNKNOWN']]);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal({ mgetKey: 'OK', UNKNOWN: null });
+		});
+
+		it('should end with noResult when no key exists', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.mget = simple.mock().resolveWith([null]);
+			}
+
+			const { value, output } = await flowNode.mget({ keys: ['UNKNOWN'] });
+
+			expect(output).to.equal('noResult');
+			expect(value).to.deep.equal({ UNKNOWN: null });
+		});
+
+		it('should set multiple keys and stringify objects', async function () {
+			const { flowNode, mockedRedisClient } = this;
+
+			const { value, output } = await flowNode.mset({
+				values: { msetKey1: 'value1', msetKey2: { prop1: 'value1' } }
+			});
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.mset.firstCall.args).to.deep.equal([[
+					'msetKey1', 'value1',
+					'msetKey2', JSON.stringify({ prop1: 'value1' })
+				]]);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal('OK');
+		});
+
+		it('should get multiple keys set with the type marker as objects', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.mget = simple.mock().callFn(() => [ mockedRedisClient.mset.lastCall.arg[1] ]);
+			}
+
+			await flowNode.mset({ values: { msetKey: { prop1: 'value1' } }, typeMarker: true });
+			const { value, output } = await flowNode.mget({ keys: ['msetKey'] });
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal({ msetKey: { prop1: 'value1' } });
+		});
+
+		it('should error when values is not an object', async function () {
+			const { flowNode } = this;
+
+			const { value, output } = await flowNode.mset({ values: 'abc' });
+
+			expect(output).to.equal('error');
+			expect(value).to.be.instanceOf(Object)
+				.and.to.have.property('message', '\'values\' must be a non-empty object.');
+		});
+	});
+
+	describe('# Hashes', () => {
+		it('should set hash fields and stringify objects', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.del({ key: 'session' });
+			}
+
+			const { value, output } = await flowNode.hset({
+				key: 'session', fields: { user: 'joe', roles: ['admin'] }
+			});
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.hset.firstCall.args).to.deep.equal([
+					'session', ['user', 'joe', 'roles', JSON.stringify(['admin'])]
+				]);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal(2);
+		});
+
+		it('should error when fields is not an object', async function () {
+			const { flowNode } = this;
+
+			const { value, output } = await flowNode.hset({ key: 'session', fields: ['a'] });
+
+			expect(output).to.equal('error');
+			expect(value).to.be.instanceOf(Object)
+				.and.to.have.property('message', '\'fields\' must be a non-empty object.');
+		});
+
+		it('should get a hash field', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.hset({ key: 'session', fields: { user: 'OK' } });
+			}
+
+			const { value, output } = await flowNode.hget({ key: 'session', field: 'user' });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.hget.firstCall.args).to.deep.equal(['session', 'user']);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal('OK');
+		});
+
+		it('should get a hash field set with the type marker as object', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.hget = simple.mock().callFn(() => mockedRedisClient.hset.lastCall.args[1][1]);
+			}
+
+			await flowNode.hset({ key: 'session', fields: { roles: ['admin'] }, typeMarker: true });
+			const { value, output } = await flowNode.hget({ key: 'session', field: 'roles' });
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal(['admin']);
+		});
+
+		it('should parse a hash field as JSON with parseJson', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.hget = simple.mock().callFn(() => mockedRedisClient.hset.lastCall.args[1][1]);
+			}
+
+			await flowNode.hset({ key: 'session', fields: { count: 5 } });
+			const { value, output } = await flowNode.hget({ key: 'session', field: 'count', parseJson: true });
+
+			expect(output).to.equal('next');
+			expect(value).to.equal(5);
+		});
+
+		it('should end with noResult for an unknown hash field', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.hget = simple.mock().resolveWith(null);
+			}
+
+			const { value, output } = await flowNode.hget({ key: 'session', field: 'UNKNOWN' });
+
+			expect(output).to.equal('noResult');
+			expect(value).to.equal('');
+		});
+
+		it('should get all hash fields as object', async function () {
+			const { flowNode } = this;
+			if (!isUnitTest()) {
+				await flowNode.del({ key: 'session' });
+				await flowNode.hset({ key: 'session', fields: { field1: 'value1' } });
+			}
+
+			const { value, output } = await flowNode.hgetall({ key: 'session' });
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal({ field1: 'value1' });
+		});
+
+		it('should get all hash fields set with the type marker as objects', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.hgetall = simple.mock().callFn(() => {
+					const [ user, name, roles, value ] = mockedRedisClient.hset.lastCall.args[1];
+					return { [user]: name, [roles]: value };
+				});
+			} else {
+				await flowNode.del({ key: 'session' });
+			}
+
+			await flowNode.hset({ key: 'session', fields: { user: 'joe', roles: ['admin'] }, typeMarker: true });
+			const { value, output } = await flowNode.hgetall({ key: 'session' });
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal({ user: 'joe', roles: ['admin'] });
+		});
+
+		it('should end with noResult for an unknown hash', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.hgetall = simple.mock().resolveWith(null);
+			}
+
+			const { value, output } = await flowNode.hgetall({ key: 'UNKNOWN' });
+
+			expect(output).to.equal('noResult');
+			expect(value).to.deep.equal({});
+		});
+
+		it('should delete hash fields', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.hset({ key: 'session', fields: { field1: 'a', field2: 'b' } });
+			}
+
+			const { value, output } = await flowNode.hdel({ key: 'session', fields: ['field1', 'field2'] });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.hdel.firstCall.args).to.deep.equal(['session', ['field1', 'field2']]);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal(2);
+		});
+
+		it('should end with notFound when no hash field was deleted', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.hdel = simple.mock().resolveWith(0);
+			}
+
+			const { value, output } = await flowNode.hdel({ key: 'session', fields: 'UNKNOWN' });
+
+			expect(output).to.equal('notFound');
+			expect(value).to.equal(0);
+		});
+	});
+
+	describe('# Lists', () => {
+		it('should prepend a single value to a list', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.del({ key: 'list' });
+			}
+
+			const { value, output } = await flowNode.lpush({ key: 'list', values: 'value1' });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.lpush.firstCall.args).to.deep.equal(['list', ['value1']]);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal(1);
+		});
+
+		it('should append multiple values to a list', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.del({ key: 'list' });
+			}
+
+			const { value, output } = await flowNode.rpush({ key: 'list', values: ['value1', { a: 1 }] });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.rpush.firstCall.args).to.deep.equal(['list', ['value1', '{"a":1}']]);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal(2);
+		});
+
+		it('should error when values is empty', async function () {
+			const { flowNode } = this;
+
+			const { value, output } = await flowNode.rpush({ key: 'list', values: [] });
+
+			expect(output).to.equal('error');
+			expect(value).to.be.instanceOf(Object)
+				.and.to.have.property('message', '\'values\' must not be empty.');
+		});
+
+		it('should pop the first element of a list', async function () {
+			const { flowNode } = this;
+			if (!isUnitTest()) {
+				await flowNode.del({ key: 'list' });
+				await flowNode.rpush({ key: 'list', values: ['OK'] });
+			}
+
+			const { value, output } = await flowNode.lpop({ key: 'list' });
+
+			expect(output).to.equal('next');
+			expect(value).to.equal('OK');
+		});
+
+		it('should pop an element pushed with the type marker as object', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.lpop = simple.mock().callFn(() => mockedRedisClient.rpush.lastCall.args[1][0]);
+			} else {
+				await flowNode.del({ key: 'list' });
+			}
+
+			await flowNode.rpush({ key: 'list', values: [{ a: 1 }], typeMarker: true });
+			const { value, output } = await flowNode.lpop({ key: 'list' });
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal({ a: 1 });
+		});
+
+		it('should end with noResult when popping an empty list', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.lpop = simple.mock().resolveWith(null);
+			}
+
+			const { value, output } = await flowNode.lpop({ key: 'UNKNOWN' });
+
+			expect(output).to.equal('noResult');
+			expect(value).to.equal('');
+		});
+
+		it('should get the whole list by default', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.del({ key: 'list' });
+				await flowNode.rpush({ key: 'list', values: ['value1', 'value2'] });
+			}
+
+			const { value, output } = await flowNode.lrange({ key: 'list' });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.lrange.firstCall.args).to.deep.equal(['list', 0, -1]);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal(['value1', 'value2']);
+		});
+
+		it('should get a range of elements pushed with the type marker as objects', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.lrange = simple.mock().callFn(() => mockedRedisClient.lpush.lastCall.args[1].slice().reverse());
+			} else {
+				await flowNode.del({ key: 'list' });
+			}
+
+			await flowNode.lpush({ key: 'list', values: ['value1', { a: 1 }, 2], typeMarker: true });
+			const { value, output } = await flowNode.lrange({ key: 'list' });
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal([2, { a: 1 }, 'value1']);
+		});
+	});
+
+	describe('# Sets', () => {
+		it('should add members to a set', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.del({ key: 'set' });
+			}
+
+			const { value, output } = await flowNode.sadd({ key: 'set', members: ['member1'] });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.sadd.firstCall.args).to.deep.equal(['set', ['member1']]);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal(1);
+		});
+
+		it('should get all members of a set', async function () {
+			const { flowNode } = this;
+			if (!isUnitTest()) {
+				await flowNode.del({ key: 'set' });
+				await flowNode.sadd({ key: 'set', members: 'member1' });
+			}
+
+			const { value, output } = await flowNode.smembers({ key: 'set' });
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal(['member1']);
+		});
+
+		it('should get members added with the type marker as objects', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.smembers = simple.mock().callFn(() => mockedRedisClient.sadd.lastCall.args[1]);
+				mockedRedisClient.sismember = simple.mock().callFn((key, member) => (
+					mockedRedisClient.sadd.lastCall.args[1].includes(member) ? 1 : 0));
+			} else {
+				await flowNode.del({ key: 'set' });
+			}
+
+			await flowNode.sadd({ key: 'set', members: [{ id: 1 }], typeMarker: true });
+			const { value, output } = await flowNode.smembers({ key: 'set' });
+			const isMember = await flowNode.sismember({ key: 'set', member: { id: 1 }, typeMarker: true });
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal([{ id: 1 }]);
+			expect(isMember.output).to.equal('next');
+		});
+
+		it('should check set membership', async function () {
+			const { flowNode } = this;
+			if (!isUnitTest()) {
+				await flowNode.sadd({ key: 'set', members: 'member1' });
+			}
+
+			const { value, output } = await flowNode.sismember({ key: 'set', member: 'member1' });
+
+			expect(output).to.equal('next');
+			expect(value).to.equal(true);
+		});
+
+		it('should end with notFound for a non member', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.sismember = simple.mock().resolveWith(0);
+			}
+
+			const { value, output } = await flowNode.sismember({ key: 'set', member: 'UNKNOWN' });
+
+			expect(output).to.equal('notFound');
+			expect(value).to.equal(false);
+		});
+	});
+
+	describe('# Sorted sets', () => {
+		it('should add members with scores', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.del({ key: 'leaderboard' });
+			}
+
+			const { value, output } = await flowNode.zadd({
+				key: 'leaderboard', members: { player1: 100, player2: 200.5 }
+			});
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.zadd.firstCall.args).to.deep.equal([
+					'leaderboard', [100, 'player1', 200.5, 'player2']
+				]);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal(2);
+		});
+
+		it('should error when a score is not a number', async function () {
+			const { flowNode } = this;
+
+			const { value, output } = await flowNode.zadd({
+				key: 'leaderboard', members: { player1: 'abc' }
+			});
+
+			expect(output).to.equal('error');
+			expect(value).to.be.instanceOf(Object)
+				.and.to.have.property('message', 'Score for member: player1 must be a number.');
+		});
+
+		it('should get a range with scores', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.del({ key: 'leaderboard' });
+				await flowNode.zadd({ key: 'leaderboard', members: { player1: 100, player2: 200.5 } });
+			}
+
+			const { value, output } = await flowNode.zrange({ key: 'leaderboard', withScores: true });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.zrange.firstCall.args).to.deep.equal(['leaderboard', 0, -1, 'WITHSCORES']);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal([
+				{ member: 'player1', score: 100 },
+				{ member: 'player2', score: 200.5 }
+			]);
+		});
+
+		it('should get the score of a member', async function () {
+			const { flowNode } = this;
+			if (!isUnitTest()) {
+				await flowNode.zadd({ key: 'leaderboard', members: { player1: 100 } });
+			}
+
+			const { value, output } = await flowNode.zscore({ key: 'leaderboard', member: 'player1' });
+
+			expect(output).to.equal('next');
+			expect(value).to.equal(100);
+		});
+
+		it('should end with noResult for an unknown member', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.zscore = simple.mock().resolveWith(null);
+			}
+
+			const { value, output } = await flowNode.zscore({ key: 'leaderboard', member: 'UNKNOWN' });
+
+			expect(output).to.equal('noResult');
+			expect(value).to.equal(null);
+		});
+	});
+
+	describe('# Locks', () => {
+		it('should acquire a lock with a random token', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.del({ key: 'lock' });
+			}
+
+			const { value, output } = await flowNode.acquireLock({ key: 'lock', ttl: 5000 });
+
+			expect(output).to.equal('next');
+			expect(value).to.have.property('key', 'lock');
+			expect(value).to.have.property('token').that.is.a('string').with.length(32);
+			if (isUnitTest()) {
+				expect(mockedRedisClient.set.firstCall.args).to.deep.equal(['lock', value.token, 'PX', 5000, 'NX']);
+			}
+		});
+
+		it('should error when ttl is missing', async function () {
+			const { flowNode } = this;
+
+			const { value, output } = await flowNode.acquireLock({ key: 'lock' });
+
+			expect(output).to.equal('error');
+			expect(value).to.be.instanceOf(Object)
+				.and.to.have.property('message', 'Missing required parameter: ttl');
+		});
+
+		it('should end with notAcquired when the lock is held after all retries', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.set = simple.mock().resolveWith(null);
+			} else {
+				await flowNode.del({ key: 'lock' });
+				await flowNode.acquireLock({ key: 'lock', ttl: 5000 });
+			}
+
+			const { value, output } = await flowNode.acquireLock({ key: 'lock', ttl: 5000, retries: 2, retryDelay: 1 });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.set.callCount).to.equal(3);
+			}
+			expect(output).to.equal('notAcquired');
+			expect(value).to.equal('lock');
+		});
+
+		it('should acquire the lock on retry', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				return this.skip();
+			}
+			mockedRedisClient.set = simple.mock().resolveWith(null).resolveWith('OK');
+
+			const { output } = await flowNode.acquireLock({ key: 'lock', ttl: 5000, retries: 1, retryDelay: 1 });
+
+			expect(mockedRedisClient.set.callCount).to.equal(2);
+			expect(output).to.equal('next');
+		});
+
+		it('should release a lock with compare-and-delete', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				await flowNode.del({ key: 'lock' });
+			}
+			const { value: lock } = await flowNode.acquireLock({ key: 'lock', ttl: 5000 });
+
+			const { value, output } = await flowNode.releaseLock(lock);
+
+			if (isUnitTest()) {
+				const args = mockedRedisClient.eval.firstCall.args;
+				expect(args.slice(1)).to.deep.equal([1, 'lock', lock.token]);
+			}
+			expect(output).to.equal('next');
+			expect(value).to.equal(true);
+		});
+
+		it('should end with notReleased for a foreign token', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.eval = simple.mock().resolveWith(0);
+			} else {
+				await flowNode.del({ key: 'lock' });
+				await flowNode.acquireLock({ key: 'lock', ttl: 5000 });
+			}
+
+			const { value, output } = await flowNode.releaseLock({ key: 'lock', token: 'foreign' });
+
+			expect(output).to.equal('notReleased');
+			expect(value).to.equal(false);
+		});
+	});
+
+	describe('# Rate limit', () => {
+		it('should error when limit is missing', async function () {
+			const { flowNode } = this;
+
+			const { value, output } = await flowNode.rateLimit({ key: 'client', window: 1000 });
+
+			expect(output).to.equal('error');
+			expect(value).to.be.instanceOf(Object)
+				.and.to.have.property('message', 'Missing required parameter: limit');
+		});
+
+		it('should error for an unsupported algorithm', async function () {
+			const { flowNode } = this;
+
+			const { value, output } = await flowNode.rateLimit({
+				key: 'client', limit: 2, window: 1000, algorithm: 'unknown'
+			});
+
+			expect(output).to.equal('error');
+			expect(value).to.be.instanceOf(Object)
+				.and.to.have.property('message', 'Unsupported algorithm: unknown. Must be one of: fixed, sliding');
+		});
+
+		it('should allow requests within a fixed window', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.eval = simple.mock().resolveWith([1, 1000, Date.now()]);
+			} else {
+				await flowNode.del({ key: 'fixedClient' });
+			}
+
+			const { value, output } = await flowNode.rateLimit({ key: 'fixedClient', limit: 2, window: 1000 });
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.eval.firstCall.args[0]).to.include('redis.call("time")');
+				expect(mockedRedisClient.eval.firstCall.args.slice(1)).to.deep.equal([1, 'fixedClient', 1000]);
+			}
+			expect(output).to.equal('allowed');
+			expect(value).to.include({ key: 'fixedClient', limit: 2, remaining: 1 });
+			expect(value.reset).to.be.above(Date.now());
+		});
+
+		it('should limit requests exceeding a fixed window', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.eval = simple.mock().resolveWith([3, 500, Date.now()]);
+			} else {
+				await flowNode.del({ key: 'fixedClient' });
+				await flowNode.rateLimit({ key: 'fixedClient', limit: 2, window: 1000 });
+				await flowNode.rateLimit({ key: 'fixedClient', limit: 2, window: 1000 });
+			}
+
+			const { value, output } = await flowNode.rateLimit({ key: 'fixedClient', limit: 2, window: 1000 });
+
+			expect(output).to.equal('limited');
+			expect(value).to.include({ key: 'fixedClient', limit: 2, remaining: 0 });
+		});
+
+		it('should allow requests within a sliding window', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			const now = Date.now();
+			if (isUnitTest()) {
+				mockedRedisClient.eval = simple.mock().resolveWith([1, 1, `${now}`, now]);
+			} else {
+				await flowNode.del({ key: 'slidingClient' });
+			}
+
+			const { value, output } = await flowNode.rateLimit({
+				key: 'slidingClient', limit: 2, window: 1000, algorithm: 'sliding'
+			});
+
+			if (isUnitTest()) {
+				const args = mockedRedisClient.eval.firstCall.args;
+				expect(args[0]).to.include('redis.call("time")');
+				expect(args.slice(1, 5)).to.deep.equal([1, 'slidingClient', 1000, 2]);
+				expect(args[5]).to.match(/^[0-9a-f]{8}$/);
+				expect(value.reset).to.equal(now + 1000);
+			}
+			expect(output).to.equal('allowed');
+			expect(value).to.include({ key: 'slidingClient', limit: 2, remaining: 1 });
+		});
+
+		it('should limit requests exceeding a sliding window', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.eval = simple.mock().resolveWith([0, 1, `${Date.now()}`, Date.now()]);
+			} else {
+				await flowNode.del({ key: 'slidingClient' });
+				await flowNode.rateLimit({ key: 'slidingClient', limit: 1, window: 1000, algorithm: 'sliding' });
+			}
+
+			const { value, output } = await flowNode.rateLimit({
+				key: 'slidingClient', limit: 1, window: 1000, algorithm: 'sliding'
+			});
+
+			expect(output).to.equal('limited');
+			expect(value).to.include({ key: 'slidingClient', limit: 1, remaining: 0 });
+		});
+
+		it('should compute the reset using the time of the Redis server', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				return this.skip();
+			}
+			// The clock of the Redis server is a minute ahead of this instance
+			const serverTime = Date.now() + 60000;
+			mockedRedisClient.eval = simple.mock().resolveWith([2, 400, serverTime]);
+
+			const { value, output } = await flowNode.rateLimit({ key: 'fixedClient', limit: 2, window: 1000 });
+
+			expect(output).to.equal('allowed');
+			expect(value.reset).to.equal(serverTime + 400);
+		});
+	});
+
+	describe('# Publish', () => {
+		it('should error when missing parameter channel', async function () {
+			const { flowNode } = this;
+
+			const { value, output } = await flowNode.publish({ message: 'hello' });
+
+			expect(output).to.equal('error');
+			expect(value).to.be.instanceOf(Object)
+				.and.to.have.property('message', 'Missing required parameter: channel');
+		});
+
+		it('should publish an object as JSON', async function () {
+			const { flowNode, mockedRedisClient } = this;
+
+			const { value, output } = await flowNode.publish({
+				channel: 'invalidation', message: { key: 'key123' }
+			});
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.publish.firstCall.args).to.deep.equal([
+					'invalidation', JSON.stringify({ key: 'key123' })
+				]);
+				expect(value).to.equal(1);
+			} else {
+				expect(value).to.be.a('number');
+			}
+			expect(output).to.equal('next');
+		});
+	});
+
+	describe('# Streams', () => {
+		it('should add an entry to a stream', async function () {
+			const { flowNode, mockedRedisClient } = this;
+
+			const { value, output } = await flowNode.xadd({
+				key: 'events', fields: { type: 'created', data: { id: 1 } }, maxLength: 1000
+			});
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.xadd.firstCall.arg).to.deep.equal([
+					'events', 'MAXLEN', '~', 1000, '*', 'type', 'created', 'data', '{"id":1}'
+				]);
+				expect(value).to.equal('1-0');
+			}
+			expect(output).to.equal('next');
+			expect(value).to.match(/^\d+-\d+$/);
+		});
+
+		it('should error when fields is missing', async function () {
+			const { flowNode } = this;
+
+			const { value, output } = await flowNode.xadd({ key: 'events' });
+
+			expect(output).to.equal('error');
+			expect(value).to.be.instanceOf(Object)
+				.and.to.have.property('message', 'Missing required parameter: fields');
+		});
+
+		it('should get a range of entries as objects', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				return this.skip();
+			}
+
+			const { value, output } = await flowNode.xrange({ key: 'events', count: 2 });
+
+			expect(mockedRedisClient.xrange.firstCall.arg).to.deep.equal(['events', '-', '+', 'COUNT', 2]);
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal([
+				{ id: '1-0', fields: { field1: 'value1' } },
+				{ id: '2-0', fields: { field1: 'value2', field2: 'x' } }
+			]);
+		});
+
+		it('should get a range of entries added with the type marker as objects', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				return this.skip();
+			}
+			mockedRedisClient.xrange = simple.mock().callFn(() => [['1-0', mockedRedisClient.xadd.lastCall.arg.slice(2)]]);
+
+			await flowNode.xadd({ key: 'events', fields: { type: 'created', data: { id: 1 } }, typeMarker: true });
+			const { value, output } = await flowNode.xrange({ key: 'events' });
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal([ { id: '1-0', fields: { type: 'created', data: { id: 1 } } } ]);
+		});
+
+		it('should read entries added with the type marker as objects', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				return this.skip();
+			}
+			mockedRedisClient.xreadgroup = simple.mock().callFn(() => (
+				[['events', [['1-0', mockedRedisClient.xadd.lastCall.arg.slice(2)]]]]));
+
+			await flowNode.xadd({ key: 'events', fields: { data: { id: 1 } }, typeMarker: true });
+			const { value, output } = await flowNode.xreadgroup({ key: 'events', group: 'workers', consumer: 'worker1' });
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal([ { id: '1-0', fields: { data: { id: 1 } } } ]);
+		});
+
+		it('should read as consumer group and create the group', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				return this.skip();
+			}
+
+			const { value, output } = await flowNode.xreadgroup({
+				key: 'events', group: 'workers', consumer: 'worker1', count: 10, createGroup: true
+			});
+
+			expect(mockedRedisClient.xgroup.firstCall.args).to.deep.equal(['CREATE', 'events', 'workers', '$', 'MKSTREAM']);
+			expect(mockedRedisClient.xreadgroup.firstCall.arg).to.deep.equal([
+				'GROUP', 'workers', 'worker1', 'COUNT', 10, 'STREAMS', 'events', '>'
+			]);
+			expect(mockedRedisClient.duplicate.callCount).to.equal(0);
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal([ { id: '1-0', fields: { field1: 'value1' } } ]);
+		});
+
+		it('should ignore an existing consumer group', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				return this.skip();
+			}
+			mockedRedisClient.xgroup = simple.mock().rejectWith(
+				new Error('BUSYGROUP Consumer Group name already exists'));
+
+			const { output } = await flowNode.xreadgroup({
+				key: 'events', group: 'workers', consumer: 'worker1', createGroup: true
+			});
+
+			expect(output).to.equal('next');
+		});
+
+		it('should use a connection of its own for blocking reads and end with noMessages on timeout', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (isUnitTest()) {
+				mockedRedisClient.xreadgroup = simple.mock().resolveWith(null);
+			}
+
+			const { value, output } = await flowNode.xreadgroup({
+				key: 'emptyEvents', group: 'workers', consumer: 'worker1', block: 10, createGroup: true
+			});
+
+			if (isUnitTest()) {
+				expect(mockedRedisClient.duplicate.callCount).to.equal(1);
+				expect(mockedRedisClient.xreadgroup.firstCall.arg).to.deep.equal([
+					'GROUP', 'workers', 'worker1', 'BLOCK', 10, 'STREAMS', 'emptyEvents', '>'
+				]);
+			}
+			expect(output).to.equal('noMessages');
+			expect(value).to.deep.equal([]);
+		});
+
+		it('should not serialize concurrent blocking reads and reuse their connections', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				return this.skip();
+			}
+			const pending = [];
+			mockedRedisClient.duplicate = simple.mock().callFn(async () => ({
+				isClosed: () => false,
+				// Blocks until released by the test
+				xreadgroup: () => new Promise((resolve) => pending.push(() => resolve(null)))
+			}));
+			const read = () => flowNode.xreadgroup({
+				key: 'events', group: 'workers', consumer: 'worker1', block: 1000
+			});
+
+			const reads = [ read(), read() ];
+			while (pending.length < 2) {
+				await new Promise((resolve) => setImmediate(resolve));
+			}
+			expect(mockedRedisClient.duplicate.callCount).to.equal(2);
+			pending.forEach((release) => release());
+			const results = await Promise.all(reads);
+			expect(results.map(({ output }) => output)).to.deep.equal([ 'noMessages', 'noMessages' ]);
+
+			const next = read();
+			while (pending.length < 3) {
+				await new Promise((resolve) => setImmediate(resolve));
+			}
+			pending[2]();
+			await next;
+			expect(mockedRedisClient.duplicate.callCount).to.equal(2);
+		});
+
+		it('should wait for a connection once the maximum of blocking reads is reached', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				return this.skip();
+			}
+			const pending = [];
+			mockedRedisClient.duplicate = simple.mock().callFn(async () => ({
+				isClosed: () => false,
+				// Blocks until released by the test
+				xreadgroup: () => new Promise((resolve) => pending.push(() => resolve(null)))
+			}));
+			const read = () => flowNode.xreadgroup({
+				key: 'events', group: 'workers', consumer: 'worker1', block: 1000
+			});
+
+			const reads = [];
+			for (let i = 0; i < 11; i++) {
+				reads.push(read());
+			}
+			while (pending.length < 10) {
+				await new Promise((resolve) => setImmediate(resolve));
+			}
+			await new Promise((resolve) => setImmediate(resolve));
+			expect(pending.length).to.equal(10);
+			expect(mockedRedisClient.duplicate.callCount).to.equal(10);
+
+			pending[0]();
+			while (pending.length < 11) {
+				await new Promise((resolve) => setImmediate(resolve));
+			}
+			pending.slice(1).forEach((release) => release());
+			await Promise.all(reads);
+			expect(mockedRedisClient.duplicate.callCount).to.equal(10);
+		});
+
+		it('should read deleted pending entries without fields', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				return this.skip();
+			}
+			mockedRedisClient.xreadgroup = simple.mock().resolveWith(
+				[['events', [['1-0', null], ['2-0', ['field1', 'value1']]]]]);
+
+			const { value, output } = await flowNode.xreadgroup({
+				key: 'events', group: 'workers', consumer: 'worker1', id: '0'
+			});
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal([ { id: '1-0', fields: null }, { id: '2-0', fields: { field1: 'value1' } } ]);
+		});
+
+		it('should acknowledge entries', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			if (!isUnitTest()) {
+				return this.skip();
+			}
+
+			const { value, output } = await flowNode.xack({ key: 'events', group: 'workers', ids: ['1-0', '2-0'] });
+
+			expect(mockedRedisClient.xack.firstCall.args).to.deep.equal(['events', 'workers', ['1-0', '2-0']]);
+			expect(output).to.equal('next');
+			expect(value).to.equal(2);
+		});
+	});
+
+	describe('# Cached', () => {
+		let server;
+		beforeEach(function () {
+			if (!isUnitTest()) {
+				// Invoking flows requires an API Builder instance
+				return this.skip();
+			}
+			server = {
+				getFlow: simple.mock().returnWith(true),
+				flowManager: {
+					flow: simple.mock().resolveWith({ price: 42 })
+				}
+			};
+			mock('@axway/api-builder-runtime', { getGlobal: () => server });
+		});
+
+		it('should error when missing parameter flow', async function () {
+			const { flowNode } = this;
+
+			const { value, output } = await flowNode.cached({ key: 'price', ttl: 1000 });
+
+			expect(output).to.equal('error');
+			expect(value).to.be.instanceOf(Object)
+				.and.to.have.property('message', 'Missing required parameter: flow');
+		});
+
+		it('should return the cached value without invoking the flow', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			mockedRedisClient.get = simple.mock().resolveWith('\u0000json:{"price":1}');
+
+			const { value, output } = await flowNode.cached({ key: 'price', ttl: 1000, flow: 'GetPrice' });
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal({ price: 1 });
+			expect(server.flowManager.flow.callCount).to.equal(0);
+		});
+
+		it('should invoke the flow on a miss and cache the result', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			mockedRedisClient.get = simple.mock().resolveWith(null);
+			mockedRedisClient.eval = simple.mock().resolveWith(1);
+
+			const { value, output } = await flowNode.cached({
+				key: 'price', ttl: 1000, flow: 'GetPrice', parameters: { id: 1 }
+			});
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal({ price: 42 });
+			expect(server.flowManager.flow.callCount).to.equal(1);
+			expect(server.flowManager.flow.firstCall.args.slice(0, 2)).to.deep.equal(['GetPrice', { id: 1 }]);
+			// Acquire lock, then store the value
+			expect(mockedRedisClient.set.calls[0].args[0]).to.equal('price:lock');
+			expect(mockedRedisClient.set.calls[1].args).to.deep.equal([
+				'price', '\u0000json:{"price":42}', 'PX', 1000
+			]);
+			expect(mockedRedisClient.eval.callCount).to.equal(1);
+		});
+
+		it('should invoke the flow only once for concurrent misses', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			mockedRedisClient.get = simple.mock().resolveWith(null);
+
+			const results = await Promise.all([
+				flowNode.cached({ key: 'price', ttl: 1000, flow: 'GetPrice' }),
+				flowNode.cached({ key: 'price', ttl: 1000, flow: 'GetPrice' })
+			]);
+
+			expect(server.flowManager.flow.callCount).to.equal(1);
+			results.forEach(({ value, output }) => {
+				expect(output).to.equal('next');
+				expect(value).to.deep.equal({ price: 42 });
+			});
+		});
+
+		it('should wait for the value computed by another instance', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			mockedRedisClient.get = simple.mock()
+				.resolveWith(null)
+				.resolveWith('\u0000json:{"price":7}');
+			// The lock is held by another instance
+			mockedRedisClient.set = simple.mock().resolveWith(null);
+
+			const { value, output } = await flowNode.cached({ key: 'price', ttl: 1000, flow: 'GetPrice' });
+
+			expect(output).to.equal('next');
+			expect(value).to.deep.equal({ price: 7 });
+			expect(server.flowManager.flow.callCount).to.equal(0);
+		});
+
+		it('should end with flowNotFound for an unknown flow', async function () {
+			const { flowNode, mockedRedisClient } = this;
+			mockedRedisClient.get = simple.mock().resolveWith(null);
+			server.getFlow = simple.mock().returnWith(undefined);
+
+			const { value, output } = await flowNode.cached({ key: 'price', ttl: 1000, flow: 'Unknown' });
+
+			expect(output).to.equal('flowNotFound');
+			expect(value).to.equal('The flow with name: \'Unknown\' could not be found.');
+		});
+	});
 });
 
 if (!isUnitTest()) {